@@ -5,7 +5,7 @@ const isDevelopment = process.env.NODE_ENV === "development";
 const isProduction = process.env.NODE_ENV === "production";
 
 const baseConfig = {
-  input: "src/index.js",
+  input: "src/browser.js",
   plugins: [nodeResolve()],
   output: {
     format: "umd",
@@ -0,0 +1,714 @@
+/**
+ * Element adapters - describe where the zoomable content sits inside each kind of element
+ * Each adapter reports the intrinsic size of the content and the rect it is
+ * drawn into, so pan bounds and fallback scaling follow the visible pixels
+ * rather than the element box. Adapters may also pick the element that is
+ * actually transformed and build the clone used in portal mode.
+ */
+
+import {
+  TILE_SOURCE_ATTRIBUTE,
+  loadTileSource,
+  getTileSource,
+} from "./deep-zoom.js";
+
+/**
+ * Intrinsic sizes of background image URLs ({width, height}, or null while loading or failed)
+ */
+const backgroundImageSizes = new Map();
+
+/**
+ * Content rect covering the whole element box (fractions of the border box)
+ */
+const FULL_CONTENT = { left: 0, top: 0, width: 1, height: 1 };
+
+/**
+ * Read the first layer of a comma separated computed value
+ * @param {string} value - Computed style value
+ * @returns {string} First layer
+ */
+function firstLayer(value) {
+  return (value || "").split(",")[0].trim();
+}
+
+/**
+ * Resolve a length token against a reference size
+ * @param {string} token - Token such as "20px", "50%" or "auto"
+ * @param {number} reference - Size that 100% refers to
+ * @returns {number|null} Length in px (null for auto or unsupported tokens)
+ */
+function resolveLength(token, reference) {
+  if (!token || token === "auto") {
+    return null;
+  }
+
+  const value = parseFloat(token);
+  if (isNaN(value)) {
+    return null;
+  }
+
+  return token.charAt(token.length - 1) === "%"
+    ? (value / 100) * reference
+    : value;
+}
+
+/**
+ * Resolve a position token to the offset of content inside a box
+ * @param {string} token - Token such as "50%", "10px", "left" or "center"
+ * @param {number} free - Box size minus content size
+ * @returns {number} Offset in px
+ */
+function resolvePosition(token, free) {
+  const keywords = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
+
+  if (keywords[token] !== undefined) {
+    return keywords[token] * free;
+  }
+
+  const value = parseFloat(token);
+  if (isNaN(value)) {
+    // calc() and other forms fall back to centered
+    return free / 2;
+  }
+
+  return token.charAt(token.length - 1) === "%" ? (value / 100) * free : value;
+}
+
+/**
+ * Size content inside a box for object-fit or background-size keywords
+ * @param {string} fit - "contain", "cover", "fill", "none" or "scale-down"
+ * @param {Object} box - Box size {width, height}
+ * @param {Object} intrinsic - Content size {width, height}
+ * @returns {Object} Drawn content size {width, height}
+ */
+function fitContent(fit, box, intrinsic) {
+  const containRatio = Math.min(
+    box.width / intrinsic.width,
+    box.height / intrinsic.height
+  );
+  const coverRatio = Math.max(
+    box.width / intrinsic.width,
+    box.height / intrinsic.height
+  );
+
+  let ratio;
+  switch (fit) {
+    case "contain":
+      ratio = containRatio;
+      break;
+    case "cover":
+      ratio = coverRatio;
+      break;
+    case "none":
+      ratio = 1;
+      break;
+    case "scale-down":
+      ratio = Math.min(1, containRatio);
+      break;
+    default:
+      return { width: box.width, height: box.height };
+  }
+
+  return { width: intrinsic.width * ratio, height: intrinsic.height * ratio };
+}
+
+/**
+ * Place content in a box and express it as fractions of the box
+ * @param {Object} box - Box size {width, height}
+ * @param {Object} size - Drawn content size {width, height}
+ * @param {string} positionX - Horizontal position token
+ * @param {string} positionY - Vertical position token
+ * @returns {Object} Content rect {left, top, width, height} as fractions
+ */
+function toContentRect(box, size, positionX, positionY) {
+  if (!box.width || !box.height) {
+    return FULL_CONTENT;
+  }
+
+  const left = resolvePosition(positionX, box.width - size.width);
+  const top = resolvePosition(positionY, box.height - size.height);
+
+  return {
+    left: left / box.width,
+    top: top / box.height,
+    width: size.width / box.width,
+    height: size.height / box.height,
+  };
+}
+
+/**
+ * Split a computed position into horizontal and vertical tokens
+ * @param {string} position - Computed position such as "50% 50%"
+ * @returns {Array} [x, y] tokens
+ */
+function splitPosition(position) {
+  const [x = "50%", y = "50%"] = firstLayer(position).split(/\s+/);
+  return [x, y];
+}
+
+/**
+ * Extract the first image URL of a computed background-image
+ * @param {string} backgroundImage - Computed background-image
+ * @returns {string|null} Resolved URL (null for gradients or none)
+ */
+export function getBackgroundImageUrl(backgroundImage) {
+  const match = (backgroundImage || "").match(/url\(\s*(['"]?)(.*?)\1\s*\)/);
+  return match ? match[2] : null;
+}
+
+/**
+ * Load a background image URL to learn its intrinsic size
+ * @param {string} url - Image URL
+ * @returns {Object|null} {width, height}, or null until the image has loaded or if it failed
+ */
+function getBackgroundImageSize(url) {
+  if (backgroundImageSizes.has(url)) {
+    return backgroundImageSizes.get(url);
+  }
+
+  // Stays null if the image fails, so a broken URL is requested only once
+  backgroundImageSizes.set(url, null);
+
+  const image = new Image();
+  image.onload = () => {
+    backgroundImageSizes.set(url, {
+      width: image.naturalWidth,
+      height: image.naturalHeight,
+    });
+  };
+  image.src = url;
+
+  return null;
+}
+
+/**
+ * Parse a srcset attribute into candidates
+ * @param {string} srcset - srcset attribute value
+ * @returns {Array} Candidates [{url, width, density}] (width or density may be null)
+ */
+function parseSrcset(srcset) {
+  const candidates = [];
+  const pattern = /([^\s,][^\s]*?)(?:\s+(\d+(?:\.\d+)?)([wx]))?\s*(?:,|$)/g;
+  let match;
+
+  while ((match = pattern.exec(srcset || "")) && match[0] !== "") {
+    const value = match[2] ? parseFloat(match[2]) : 1;
+    candidates.push({
+      url: new URL(match[1], document.baseURI).href,
+      width: match[3] === "w" ? value : null,
+      density: match[3] === "w" ? null : value,
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * Find the srcset the browser picked from, including <source> elements of a <picture>
+ * @param {HTMLImageElement} element - Image element
+ * @returns {string} srcset attribute value (empty when there is none)
+ */
+function getActiveSrcset(element) {
+  const picture = element.parentNode;
+
+  if (
+    picture &&
+    picture.tagName &&
+    picture.tagName.toLowerCase() === "picture"
+  ) {
+    const sources = Array.from(picture.querySelectorAll("source[srcset]"));
+    const active = sources.find((source) =>
+      parseSrcset(source.getAttribute("srcset")).some(
+        (candidate) => candidate.url === element.currentSrc
+      )
+    );
+
+    if (active) {
+      return active.getAttribute("srcset");
+    }
+  }
+
+  return element.getAttribute("srcset") || "";
+}
+
+/**
+ * Measure an element's layout box, including SVG elements without offset sizes
+ * @param {Element} element - Element to measure
+ * @returns {Object} {width, height} in CSS px
+ */
+function getBoxSize(element) {
+  return element.offsetWidth !== undefined
+    ? { width: element.offsetWidth, height: element.offsetHeight }
+    : { width: element.clientWidth, height: element.clientHeight };
+}
+
+/**
+ * Content rect of a replaced element laid out by object-fit/object-position
+ * @param {Element} element - img, video or canvas element
+ * @param {Object|null} intrinsic - Intrinsic size {width, height}
+ * @returns {Object} Content rect as fractions
+ */
+function getObjectFitContentRect(element, intrinsic) {
+  if (!intrinsic) {
+    return FULL_CONTENT;
+  }
+
+  const computed = window.getComputedStyle(element);
+  const box = getBoxSize(element);
+  const size = fitContent(computed.objectFit || "fill", box, intrinsic);
+  const [x, y] = splitPosition(computed.objectPosition);
+
+  return toContentRect(box, size, x, y);
+}
+
+/**
+ * <img> elements, honouring object-fit and object-position
+ */
+export const imageAdapter = {
+  type: "img",
+
+  matches(element) {
+    return element.tagName.toLowerCase() === "img";
+  },
+
+  prepare() {},
+
+  getIntrinsicSize(element) {
+    return element.naturalWidth && element.naturalHeight
+      ? { width: element.naturalWidth, height: element.naturalHeight }
+      : null;
+  },
+
+  getContentRect(element) {
+    return getObjectFitContentRect(element, this.getIntrinsicSize(element));
+  },
+
+  getFallbackSize(element) {
+    return {
+      width: element.naturalWidth || element.offsetWidth,
+      height: element.naturalHeight || element.offsetHeight,
+    };
+  },
+
+  /**
+   * Pick a larger source for the width the image is rendered at
+   * data-zoom-src wins; otherwise the smallest srcset candidate covering the width.
+   * @param {HTMLImageElement} element - Image element
+   * @param {number} renderedWidth - Rendered width in device pixels
+   * @param {number} currentWidth - Intrinsic width of the source shown now
+   * @returns {string|null} URL of a larger source, or null when there is none
+   */
+  getHiresSource(element, renderedWidth, currentWidth) {
+    const zoomSrc = element.getAttribute("data-zoom-src");
+    if (zoomSrc) {
+      return new URL(zoomSrc, document.baseURI).href;
+    }
+
+    const layoutWidth = element.offsetWidth || 1;
+    const candidates = parseSrcset(getActiveSrcset(element))
+      .map((candidate) => ({
+        url: candidate.url,
+        width: candidate.width || candidate.density * layoutWidth,
+      }))
+      .sort((a, b) => a.width - b.width);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const best =
+      candidates.find((candidate) => candidate.width >= renderedWidth) ||
+      candidates[candidates.length - 1];
+
+    // Never swap to a source smaller than the one already shown
+    return best.width > currentWidth ? best.url : null;
+  },
+
+  // Keep the source the browser picked from srcset or <picture>
+  createClone(element) {
+    const clone = element.cloneNode(false);
+    if (element.currentSrc) {
+      clone.removeAttribute("srcset");
+      clone.removeAttribute("sizes");
+      clone.src = element.currentSrc;
+    }
+    return clone;
+  },
+};
+
+/**
+ * <picture> wrappers, zoomed through their inner <img>
+ */
+export const pictureAdapter = {
+  ...imageAdapter,
+  type: "picture",
+
+  matches(element) {
+    return (
+      element.tagName.toLowerCase() === "picture" &&
+      !!element.querySelector("img")
+    );
+  },
+
+  resolveElement(element) {
+    return element.querySelector("img");
+  },
+};
+
+/**
+ * <video> elements; the portal clone follows the original's playback
+ */
+export const videoAdapter = {
+  type: "video",
+
+  matches(element) {
+    return element.tagName.toLowerCase() === "video";
+  },
+
+  prepare() {},
+
+  getIntrinsicSize(element) {
+    return element.videoWidth && element.videoHeight
+      ? { width: element.videoWidth, height: element.videoHeight }
+      : null;
+  },
+
+  getContentRect(element) {
+    return getObjectFitContentRect(element, this.getIntrinsicSize(element));
+  },
+
+  getFallbackSize: getBoxSize,
+
+  // The original keeps playing (and its sound) underneath a muted copy
+  createClone(element) {
+    const clone = element.cloneNode(true);
+    clone.muted = true;
+    clone.removeAttribute("controls");
+    clone.removeAttribute("autoplay");
+    clone.currentTime = element.currentTime;
+    this.syncClone(element, clone);
+    return clone;
+  },
+
+  syncClone(element, clone) {
+    // Correct drift larger than a few frames
+    if (Math.abs(clone.currentTime - element.currentTime) > 0.25) {
+      clone.currentTime = element.currentTime;
+    }
+
+    if (element.paused && !clone.paused) {
+      clone.pause();
+    } else if (!element.paused && clone.paused) {
+      const playing = clone.play();
+      if (playing && playing.catch) {
+        playing.catch(() => {});
+      }
+    }
+  },
+};
+
+/**
+ * <canvas> elements; the portal clone copies the drawn pixels every frame
+ */
+export const canvasAdapter = {
+  type: "canvas",
+
+  matches(element) {
+    return element.tagName.toLowerCase() === "canvas";
+  },
+
+  prepare() {},
+
+  getIntrinsicSize(element) {
+    return element.width && element.height
+      ? { width: element.width, height: element.height }
+      : null;
+  },
+
+  getContentRect(element) {
+    return getObjectFitContentRect(element, this.getIntrinsicSize(element));
+  },
+
+  getFallbackSize: getBoxSize,
+
+  createClone(element) {
+    const clone = element.cloneNode(false);
+    this.syncClone(element, clone);
+    return clone;
+  },
+
+  syncClone(element, clone) {
+    if (clone.width !== element.width || clone.height !== element.height) {
+      clone.width = element.width;
+      clone.height = element.height;
+    }
+
+    const context = clone.getContext("2d");
+    if (context && element.width && element.height) {
+      context.clearRect(0, 0, clone.width, clone.height);
+      context.drawImage(element, 0, 0);
+    }
+  },
+};
+
+/**
+ * Inline <svg> elements, sized by their viewBox and preserveAspectRatio
+ */
+export const svgAdapter = {
+  type: "svg",
+
+  matches(element) {
+    // Only the outermost <svg> has a CSS box to transform
+    return element.tagName.toLowerCase() === "svg" && !element.ownerSVGElement;
+  },
+
+  prepare() {},
+
+  getIntrinsicSize(element) {
+    const viewBox = (element.getAttribute("viewBox") || "")
+      .split(/[\s,]+/)
+      .map(parseFloat);
+
+    return viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0
+      ? { width: viewBox[2], height: viewBox[3] }
+      : null;
+  },
+
+  getContentRect(element) {
+    const intrinsic = this.getIntrinsicSize(element);
+    if (!intrinsic) {
+      return FULL_CONTENT;
+    }
+
+    const [align = "xMidYMid", meetOrSlice = "meet"] = (
+      element.getAttribute("preserveAspectRatio") || ""
+    )
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const box = getBoxSize(element);
+    if (align === "none") {
+      return toContentRect(box, box, "0%", "0%");
+    }
+
+    const size = fitContent(
+      meetOrSlice === "slice" ? "cover" : "contain",
+      box,
+      intrinsic
+    );
+    const alignments = { Min: "0%", Mid: "50%", Max: "100%" };
+    const x = alignments[align.substring(1, 4)] || "50%";
+    const y = alignments[align.substring(5, 8)] || "50%";
+
+    return toContentRect(box, size, x, y);
+  },
+
+  getFallbackSize: getBoxSize,
+};
+
+/**
+ * Elements showing a CSS background-image, honouring background-size and
+ * background-position
+ */
+export const backgroundAdapter = {
+  type: "background",
+
+  matches(element) {
+    const backgroundImage = window.getComputedStyle(element).backgroundImage;
+    return !!backgroundImage && backgroundImage !== "none";
+  },
+
+  // Start loading the image early so its size is known by the first gesture
+  prepare(element) {
+    this.getIntrinsicSize(element);
+  },
+
+  getIntrinsicSize(element) {
+    const url = getBackgroundImageUrl(
+      window.getComputedStyle(element).backgroundImage
+    );
+    return url ? getBackgroundImageSize(url) : null;
+  },
+
+  getContentRect(element) {
+    const intrinsic = this.getIntrinsicSize(element);
+
+    // Gradients and images still loading fill the whole box
+    if (!intrinsic) {
+      return FULL_CONTENT;
+    }
+
+    const computed = window.getComputedStyle(element);
+    const box = getBoxSize(element);
+    const sizeValue = firstLayer(computed.backgroundSize);
+
+    let size;
+    if (sizeValue === "cover" || sizeValue === "contain") {
+      size = fitContent(sizeValue, box, intrinsic);
+    } else {
+      const [xToken, yToken = "auto"] = sizeValue.split(/\s+/);
+      let width = resolveLength(xToken, box.width);
+      let height = resolveLength(yToken, box.height);
+
+      // auto keeps the image's aspect ratio
+      if (width === null && height === null) {
+        width = intrinsic.width;
+        height = intrinsic.height;
+      } else if (width === null) {
+        width = (height * intrinsic.width) / intrinsic.height;
+      } else if (height === null) {
+        height = (width * intrinsic.height) / intrinsic.width;
+      }
+
+      size = { width, height };
+    }
+
+    const x = computed.backgroundPositionX
+      ? firstLayer(computed.backgroundPositionX)
+      : splitPosition(computed.backgroundPosition)[0];
+    const y = computed.backgroundPositionY
+      ? firstLayer(computed.backgroundPositionY)
+      : splitPosition(computed.backgroundPosition)[1];
+
+    return toContentRect(box, size, x, y);
+  },
+
+  getFallbackSize: getBoxSize,
+};
+
+/**
+ * Deep zoom elements drawn from the tiles of a data-tile-source descriptor
+ * The image is fitted into the element box like object-fit: contain.
+ */
+export const tiledAdapter = {
+  type: "tiles",
+
+  matches(element) {
+    return element.hasAttribute(TILE_SOURCE_ATTRIBUTE);
+  },
+
+  prepare(element) {
+    // Start loading early; failures are reported by the renderer
+    loadTileSource(element.getAttribute(TILE_SOURCE_ATTRIBUTE)).catch(() => {});
+  },
+
+  getIntrinsicSize(element) {
+    const source = getTileSource(element.getAttribute(TILE_SOURCE_ATTRIBUTE));
+    return source ? { width: source.width, height: source.height } : null;
+  },
+
+  getContentRect(element) {
+    const intrinsic = this.getIntrinsicSize(element);
+    if (!intrinsic) {
+      return FULL_CONTENT;
+    }
+
+    const box = getBoxSize(element);
+    return toContentRect(
+      box,
+      fitContent("contain", box, intrinsic),
+      "50%",
+      "50%"
+    );
+  },
+
+  getFallbackSize: getBoxSize,
+
+  // The tile layer moves into the clone instead of being copied
+  createClone(element) {
+    return element.cloneNode(false);
+  },
+};
+
+/**
+ * Any element zoomed as a whole (contentMode: "container"), sized by its layout
+ */
+export const containerAdapter = {
+  type: "container",
+
+  matches(element) {
+    return !!element.tagName;
+  },
+
+  prepare() {},
+
+  getIntrinsicSize(element) {
+    return element.scrollWidth && element.scrollHeight
+      ? { width: element.scrollWidth, height: element.scrollHeight }
+      : null;
+  },
+
+  getContentRect(element) {
+    const intrinsic = this.getIntrinsicSize(element);
+    const box = getBoxSize(element);
+    if (!intrinsic || !box.width || !box.height) {
+      return FULL_CONTENT;
+    }
+
+    // Content overflowing a visible edge can be panned into view; clipped content can't
+    const computed = window.getComputedStyle(element);
+    const width =
+      computed.overflowX === "visible"
+        ? Math.max(intrinsic.width, box.width)
+        : box.width;
+    const height =
+      computed.overflowY === "visible"
+        ? Math.max(intrinsic.height, box.height)
+        : box.height;
+
+    return {
+      left: 0,
+      top: 0,
+      width: width / box.width,
+      height: height / box.height,
+    };
+  },
+
+  getFallbackSize: getBoxSize,
+};
+
+/**
+ * Adapters in lookup order
+ */
+const ADAPTERS = [
+  tiledAdapter,
+  imageAdapter,
+  pictureAdapter,
+  videoAdapter,
+  canvasAdapter,
+  svgAdapter,
+  backgroundAdapter,
+];
+
+/**
+ * Find the adapter for an element
+ * @param {Element} element - Element to zoom
+ * @param {string} contentMode - "image" to detect the content type, "container" to zoom any element
+ * @returns {Object|null} Matching adapter, or null when the element is not supported
+ */
+export function getAdapter(element, contentMode = "image") {
+  if (!element || !element.tagName) {
+    return null;
+  }
+
+  if (contentMode === "container") {
+    return containerAdapter;
+  }
+
+  return ADAPTERS.find((adapter) => adapter.matches(element)) || null;
+}
+
+/**
+ * Resolve the element that is actually transformed, e.g. the <img> of a <picture>
+ * @param {Element} element - Element given to PinchZoom
+ * @param {string} contentMode - "image" or "container"
+ * @returns {Element} Element to zoom
+ */
+export function resolveZoomElement(element, contentMode = "image") {
+  const adapter = getAdapter(element, contentMode);
+
+  return adapter && adapter.resolveElement
+    ? adapter.resolveElement(element) || element
+    : element;
+}
@@ -0,0 +1,221 @@
+/**
+ * Animation engine - requestAnimationFrame driven tweens with easing and spring curves
+ */
+
+import {
+  safeRequestAnimationFrame,
+  safeCancelAnimationFrame,
+} from "./utils.js";
+import { errorHandler } from "./error-handler.js";
+
+/**
+ * Easing curves mapping linear progress (0-1) to eased progress
+ */
+export const EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t * t,
+  easeOut: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+};
+
+/**
+ * Default spring parameters (close to critically damped, no visible bounce)
+ */
+export const DEFAULT_SPRING = {
+  stiffness: 170,
+  damping: 26,
+  mass: 1,
+};
+
+/**
+ * Progress and velocity below which a spring is considered at rest
+ */
+const SPRING_REST_THRESHOLD = 0.001;
+
+/**
+ * Longest frame time (ms) simulated at once, e.g. after a background tab
+ */
+const MAX_FRAME_TIME = 64;
+
+/**
+ * Resolve an easing name or function to an easing function
+ * @param {string|Function} easing - Easing name or custom function
+ * @returns {Function} Easing function
+ */
+export function resolveEasing(easing) {
+  if (typeof easing === "function") {
+    return easing;
+  }
+
+  return EASINGS[easing] || EASINGS.easeOut;
+}
+
+/**
+ * Animation between two sets of numeric values
+ * Runs on a single requestAnimationFrame timeline and can be cancelled at any
+ * frame; `finished` resolves with true when it completes and false when it is
+ * cancelled.
+ */
+export class Animation {
+  constructor(options = {}) {
+    this.from = { ...options.from };
+    this.to = { ...options.to };
+    this.duration = options.duration !== undefined ? options.duration : 300;
+    this.easing = resolveEasing(options.easing);
+    this.spring = options.spring
+      ? {
+          ...DEFAULT_SPRING,
+          ...(options.spring === true ? {} : options.spring),
+        }
+      : null;
+    this.onUpdate = options.onUpdate || null;
+
+    this.progress = 0;
+    this.velocity = 0;
+    this.elapsed = 0;
+    this.lastTime = null;
+    this.frameId = null;
+    this.isRunning = false;
+
+    this.finished = new Promise((resolve) => {
+      this.resolveFinished = resolve;
+    });
+
+    this.boundStep = this.step.bind(this);
+  }
+
+  /**
+   * Start the animation
+   * @returns {Animation} This animation
+   */
+  start() {
+    if (this.isRunning) {
+      return this;
+    }
+
+    this.isRunning = true;
+    this.lastTime = null;
+    this.frameId = safeRequestAnimationFrame(this.boundStep);
+    return this;
+  }
+
+  /**
+   * Advance the animation by one frame
+   */
+  step() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    const now = Date.now();
+    const frameTime =
+      this.lastTime === null
+        ? 16
+        : Math.min(Math.max(now - this.lastTime, 1), MAX_FRAME_TIME);
+    this.lastTime = now;
+
+    const isDone = this.spring
+      ? this.stepSpring(frameTime)
+      : this.stepTween(frameTime);
+
+    if (this.onUpdate) {
+      errorHandler.safeExecute(
+        () => this.onUpdate(this.getValues(), this),
+        "updating animation frame"
+      );
+    }
+
+    if (isDone) {
+      this.finish(true);
+      return;
+    }
+
+    this.frameId = safeRequestAnimationFrame(this.boundStep);
+  }
+
+  /**
+   * Advance a duration based tween
+   * @param {number} frameTime - Time since the last frame (ms)
+   * @returns {boolean} Whether the tween is done
+   */
+  stepTween(frameTime) {
+    this.elapsed += frameTime;
+
+    const t = this.duration > 0 ? Math.min(this.elapsed / this.duration, 1) : 1;
+    this.progress = this.easing(t);
+
+    return t >= 1;
+  }
+
+  /**
+   * Advance the spring simulation towards progress 1
+   * @param {number} frameTime - Time since the last frame (ms)
+   * @returns {boolean} Whether the spring is at rest
+   */
+  stepSpring(frameTime) {
+    const { stiffness, damping, mass } = this.spring;
+
+    // Fixed 1ms sub-steps keep the integration stable at low frame rates
+    for (let i = 0; i < frameTime; i++) {
+      const force = -stiffness * (this.progress - 1) - damping * this.velocity;
+      this.velocity += (force / mass) * 0.001;
+      this.progress += this.velocity * 0.001;
+    }
+
+    if (
+      Math.abs(1 - this.progress) < SPRING_REST_THRESHOLD &&
+      Math.abs(this.velocity) < SPRING_REST_THRESHOLD * 10
+    ) {
+      this.progress = 1;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Return the interpolated values for the current progress
+   * @returns {Object} Current values
+   */
+  getValues() {
+    const values = {};
+
+    Object.keys(this.to).forEach((key) => {
+      const from = this.from[key] !== undefined ? this.from[key] : this.to[key];
+      values[key] = from + (this.to[key] - from) * this.progress;
+    });
+
+    return values;
+  }
+
+  /**
+   * Stop the animation at its current values
+   */
+  cancel() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    safeCancelAnimationFrame(this.frameId);
+    this.finish(false);
+  }
+
+  /**
+   * Mark the animation as finished and resolve its promise
+   * @param {boolean} completed - Whether the animation reached its end
+   */
+  finish(completed) {
+    this.isRunning = false;
+    this.frameId = null;
+    this.resolveFinished(completed);
+  }
+}
+
+/**
+ * Create and start an animation
+ * @param {Object} options - Animation options (see Animation)
+ * @returns {Animation} Running animation
+ */
+export function animate(options) {
+  return new Animation(options).start();
+}
@@ -0,0 +1,19 @@
+/**
+ * Browser build entry - the script-tag bundle sets everything up on load
+ * Registers <pinch-zoom-image> and runs autoInit() for [data-pinch-zoom]
+ * markup. Module imports of index.js leave both to the page.
+ */
+
+import PinchZoom, { autoInit, defineCustomElement } from "./index.js";
+
+export * from "./index.js";
+export default PinchZoom;
+
+if (typeof window !== "undefined") {
+  window.autoInitPinchZoom = autoInit;
+
+  defineCustomElement();
+
+  // Markup-only setup, e.g. <img data-pinch-zoom data-pinch-max-scale="4">
+  autoInit();
+}
@@ -0,0 +1,701 @@
+/**
+ * Color module - parses CSS Color 4 syntaxes into sRGB channels and alpha
+ */
+
+/**
+ * Named colors (CSS Color 4) as 6-digit hex
+ */
+const NAMED_COLORS = {
+  aliceblue: "f0f8ff",
+  antiquewhite: "faebd7",
+  aqua: "00ffff",
+  aquamarine: "7fffd4",
+  azure: "f0ffff",
+  beige: "f5f5dc",
+  bisque: "ffe4c4",
+  black: "000000",
+  blanchedalmond: "ffebcd",
+  blue: "0000ff",
+  blueviolet: "8a2be2",
+  brown: "a52a2a",
+  burlywood: "deb887",
+  cadetblue: "5f9ea0",
+  chartreuse: "7fff00",
+  chocolate: "d2691e",
+  coral: "ff7f50",
+  cornflowerblue: "6495ed",
+  cornsilk: "fff8dc",
+  crimson: "dc143c",
+  cyan: "00ffff",
+  darkblue: "00008b",
+  darkcyan: "008b8b",
+  darkgoldenrod: "b8860b",
+  darkgray: "a9a9a9",
+  darkgreen: "006400",
+  darkgrey: "a9a9a9",
+  darkkhaki: "bdb76b",
+  darkmagenta: "8b008b",
+  darkolivegreen: "556b2f",
+  darkorange: "ff8c00",
+  darkorchid: "9932cc",
+  darkred: "8b0000",
+  darksalmon: "e9967a",
+  darkseagreen: "8fbc8f",
+  darkslateblue: "483d8b",
+  darkslategray: "2f4f4f",
+  darkslategrey: "2f4f4f",
+  darkturquoise: "00ced1",
+  darkviolet: "9400d3",
+  deeppink: "ff1493",
+  deepskyblue: "00bfff",
+  dimgray: "696969",
+  dimgrey: "696969",
+  dodgerblue: "1e90ff",
+  firebrick: "b22222",
+  floralwhite: "fffaf0",
+  forestgreen: "228b22",
+  fuchsia: "ff00ff",
+  gainsboro: "dcdcdc",
+  ghostwhite: "f8f8ff",
+  gold: "ffd700",
+  goldenrod: "daa520",
+  gray: "808080",
+  green: "008000",
+  greenyellow: "adff2f",
+  grey: "808080",
+  honeydew: "f0fff0",
+  hotpink: "ff69b4",
+  indianred: "cd5c5c",
+  indigo: "4b0082",
+  ivory: "fffff0",
+  khaki: "f0e68c",
+  lavender: "e6e6fa",
+  lavenderblush: "fff0f5",
+  lawngreen: "7cfc00",
+  lemonchiffon: "fffacd",
+  lightblue: "add8e6",
+  lightcoral: "f08080",
+  lightcyan: "e0ffff",
+  lightgoldenrodyellow: "fafad2",
+  lightgray: "d3d3d3",
+  lightgreen: "90ee90",
+  lightgrey: "d3d3d3",
+  lightpink: "ffb6c1",
+  lightsalmon: "ffa07a",
+  lightseagreen: "20b2aa",
+  lightskyblue: "87cefa",
+  lightslategray: "778899",
+  lightslategrey: "778899",
+  lightsteelblue: "b0c4de",
+  lightyellow: "ffffe0",
+  lime: "00ff00",
+  limegreen: "32cd32",
+  linen: "faf0e6",
+  magenta: "ff00ff",
+  maroon: "800000",
+  mediumaquamarine: "66cdaa",
+  mediumblue: "0000cd",
+  mediumorchid: "ba55d3",
+  mediumpurple: "9370db",
+  mediumseagreen: "3cb371",
+  mediumslateblue: "7b68ee",
+  mediumspringgreen: "00fa9a",
+  mediumturquoise: "48d1cc",
+  mediumvioletred: "c71585",
+  midnightblue: "191970",
+  mintcream: "f5fffa",
+  mistyrose: "ffe4e1",
+  moccasin: "ffe4b5",
+  navajowhite: "ffdead",
+  navy: "000080",
+  oldlace: "fdf5e6",
+  olive: "808000",
+  olivedrab: "6b8e23",
+  orange: "ffa500",
+  orangered: "ff4500",
+  orchid: "da70d6",
+  palegoldenrod: "eee8aa",
+  palegreen: "98fb98",
+  paleturquoise: "afeeee",
+  palevioletred: "db7093",
+  papayawhip: "ffefd5",
+  peachpuff: "ffdab9",
+  peru: "cd853f",
+  pink: "ffc0cb",
+  plum: "dda0dd",
+  powderblue: "b0e0e6",
+  purple: "800080",
+  rebeccapurple: "663399",
+  red: "ff0000",
+  rosybrown: "bc8f8f",
+  royalblue: "4169e1",
+  saddlebrown: "8b4513",
+  salmon: "fa8072",
+  sandybrown: "f4a460",
+  seagreen: "2e8b57",
+  seashell: "fff5ee",
+  sienna: "a0522d",
+  silver: "c0c0c0",
+  skyblue: "87ceeb",
+  slateblue: "6a5acd",
+  slategray: "708090",
+  slategrey: "708090",
+  snow: "fffafa",
+  springgreen: "00ff7f",
+  steelblue: "4682b4",
+  tan: "d2b48c",
+  teal: "008080",
+  thistle: "d8bfd8",
+  tomato: "ff6347",
+  turquoise: "40e0d0",
+  violet: "ee82ee",
+  wheat: "f5deb3",
+  white: "ffffff",
+  whitesmoke: "f5f5f5",
+  yellow: "ffff00",
+  yellowgreen: "9acd32",
+};
+
+/**
+ * Matrices between linear RGB spaces and CIE XYZ (CSS Color 4, section 18)
+ */
+const XYZ_D65_TO_LINEAR_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+];
+
+const D50_TO_D65 = [
+  [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+  [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+  [0.012314014864481998, -0.020507649298898964, 1.330365926242124],
+];
+
+const LINEAR_P3_TO_XYZ_D65 = [
+  [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+  [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+  [0, 0.04511338185890264, 1.043944368900976],
+];
+
+const LINEAR_A98_TO_XYZ_D65 = [
+  [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+  [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+  [0.02703136138641234, 0.07068885253582723, 0.9913375368376388],
+];
+
+const LINEAR_PROPHOTO_TO_XYZ_D50 = [
+  [0.7977604896723027, 0.13518583717574031, 0.0313493495815248],
+  [0.2880711282292934, 0.7118432178101014, 0.00008565396060525902],
+  [0, 0, 0.8251046025104601],
+];
+
+const LINEAR_REC2020_TO_XYZ_D65 = [
+  [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+  [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+  [0, 0.028072693049087428, 1.060985057710791],
+];
+
+/**
+ * D50 reference white used by Lab and LCH
+ */
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+/**
+ * Keep a number within a range
+ * @param {number} value - Value to clamp
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @returns {number} Clamped value
+ */
+function clampChannel(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Multiply a 3x3 matrix by a vector
+ * @param {Array} matrix - 3x3 matrix
+ * @param {Array} vector - 3 component vector
+ * @returns {Array} Resulting vector
+ */
+function multiply(matrix, vector) {
+  return matrix.map(
+    (row) => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]
+  );
+}
+
+/**
+ * sRGB transfer function (also used by Display P3)
+ */
+function linearizeSrgb(value) {
+  const abs = Math.abs(value);
+  return abs <= 0.04045
+    ? value / 12.92
+    : Math.sign(value) * Math.pow((abs + 0.055) / 1.055, 2.4);
+}
+
+function gammaSrgb(value) {
+  const abs = Math.abs(value);
+  return abs > 0.0031308
+    ? Math.sign(value) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055)
+    : 12.92 * value;
+}
+
+function linearizeA98(value) {
+  return Math.sign(value) * Math.pow(Math.abs(value), 563 / 256);
+}
+
+function linearizeProphoto(value) {
+  const abs = Math.abs(value);
+  return abs <= 16 / 512 ? value / 16 : Math.sign(value) * Math.pow(abs, 1.8);
+}
+
+function linearizeRec2020(value) {
+  const alpha = 1.09929682680944;
+  const beta = 0.018053968510807;
+  const abs = Math.abs(value);
+
+  return abs < beta * 4.5
+    ? value / 4.5
+    : Math.sign(value) * Math.pow((abs + alpha - 1) / alpha, 1 / 0.45);
+}
+
+/**
+ * Convert linear sRGB (0-1) to an {r, g, b} color in 0-255
+ * @param {Array} linear - Linear sRGB channels
+ * @returns {Object} {r, g, b}
+ */
+function fromLinearSrgb(linear) {
+  const [r, g, b] = linear.map((value) =>
+    Math.round(clampChannel(gammaSrgb(value), 0, 1) * 255)
+  );
+  return { r, g, b };
+}
+
+/**
+ * Convert CIE XYZ to {r, g, b}
+ * @param {Array} xyz - XYZ channels
+ * @param {boolean} isD50 - Whether the XYZ values use the D50 white point
+ * @returns {Object} {r, g, b}
+ */
+function fromXyz(xyz, isD50) {
+  const d65 = isD50 ? multiply(D50_TO_D65, xyz) : xyz;
+  return fromLinearSrgb(multiply(XYZ_D65_TO_LINEAR_SRGB, d65));
+}
+
+/**
+ * Convert CIE Lab (D50) to {r, g, b}
+ */
+function fromLab(l, a, b) {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+
+  const f1 = (l + 16) / 116;
+  const f0 = a / 500 + f1;
+  const f2 = f1 - b / 200;
+
+  const xyz = [
+    Math.pow(f0, 3) > epsilon ? Math.pow(f0, 3) : (116 * f0 - 16) / kappa,
+    l > kappa * epsilon ? Math.pow(f1, 3) : l / kappa,
+    Math.pow(f2, 3) > epsilon ? Math.pow(f2, 3) : (116 * f2 - 16) / kappa,
+  ].map((value, index) => value * D50_WHITE[index]);
+
+  return fromXyz(xyz, true);
+}
+
+/**
+ * Convert OKLab to {r, g, b}
+ */
+function fromOklab(l, a, b) {
+  const lms = [
+    l + 0.3963377774 * a + 0.2158037573 * b,
+    l - 0.1055613458 * a - 0.0638541728 * b,
+    l - 0.0894841775 * a - 1.291485548 * b,
+  ].map((value) => value * value * value);
+
+  return fromLinearSrgb([
+    4.0767416621 * lms[0] - 3.3077115913 * lms[1] + 0.2309699292 * lms[2],
+    -1.2684380046 * lms[0] + 2.6097574011 * lms[1] - 0.3413193965 * lms[2],
+    -0.0041960863 * lms[0] - 0.7034186147 * lms[1] + 1.707614701 * lms[2],
+  ]);
+}
+
+/**
+ * Convert polar chroma/hue to rectangular a/b
+ */
+function fromPolar(chroma, hue) {
+  const radians = (hue * Math.PI) / 180;
+  return [chroma * Math.cos(radians), chroma * Math.sin(radians)];
+}
+
+/**
+ * Convert HSL (hue in degrees, saturation/lightness 0-1) to {r, g, b}
+ */
+function fromHsl(h, s, l) {
+  const hue = ((h % 360) + 360) % 360;
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+
+  return {
+    r: Math.round(clampChannel(channel(0), 0, 1) * 255),
+    g: Math.round(clampChannel(channel(8), 0, 1) * 255),
+    b: Math.round(clampChannel(channel(4), 0, 1) * 255),
+  };
+}
+
+/**
+ * Convert HWB (hue in degrees, whiteness/blackness 0-1) to {r, g, b}
+ */
+function fromHwb(h, w, b) {
+  if (w + b >= 1) {
+    const gray = Math.round((w / (w + b)) * 255);
+    return { r: gray, g: gray, b: gray };
+  }
+
+  const pure = fromHsl(h, 1, 0.5);
+  const mix = (value) => Math.round(((value / 255) * (1 - w - b) + w) * 255);
+  return { r: mix(pure.r), g: mix(pure.g), b: mix(pure.b) };
+}
+
+/**
+ * RGB working spaces accepted by color()
+ */
+const COLOR_SPACES = {
+  srgb: (c) => fromLinearSrgb(c.map(linearizeSrgb)),
+  "srgb-linear": (c) => fromLinearSrgb(c),
+  "display-p3": (c) =>
+    fromXyz(multiply(LINEAR_P3_TO_XYZ_D65, c.map(linearizeSrgb)), false),
+  "a98-rgb": (c) =>
+    fromXyz(multiply(LINEAR_A98_TO_XYZ_D65, c.map(linearizeA98)), false),
+  "prophoto-rgb": (c) =>
+    fromXyz(
+      multiply(LINEAR_PROPHOTO_TO_XYZ_D50, c.map(linearizeProphoto)),
+      true
+    ),
+  rec2020: (c) =>
+    fromXyz(
+      multiply(LINEAR_REC2020_TO_XYZ_D65, c.map(linearizeRec2020)),
+      false
+    ),
+  xyz: (c) => fromXyz(c, false),
+  "xyz-d65": (c) => fromXyz(c, false),
+  "xyz-d50": (c) => fromXyz(c, true),
+};
+
+/**
+ * Parse one component of a color function
+ * @param {string} token - Component token
+ * @param {number} percentReference - Value that 100% maps to
+ * @returns {number|null} Parsed value (null when invalid)
+ */
+function parseComponent(token, percentReference) {
+  if (token === "none") {
+    return 0;
+  }
+
+  const match = token.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%?)$/i);
+  if (!match) {
+    return null;
+  }
+
+  const value = parseFloat(match[1]);
+  return match[2] ? (value / 100) * percentReference : value;
+}
+
+/**
+ * Parse a hue component into degrees
+ * @param {string} token - Hue token (number or angle)
+ * @returns {number|null} Hue in degrees (null when invalid)
+ */
+function parseHue(token) {
+  if (token === "none") {
+    return 0;
+  }
+
+  const match = token.match(
+    /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|rad|grad|turn)?$/i
+  );
+  if (!match) {
+    return null;
+  }
+
+  const value = parseFloat(match[1]);
+  const unit = (match[2] || "deg").toLowerCase();
+  const degreesPerUnit = {
+    deg: 1,
+    rad: 180 / Math.PI,
+    grad: 0.9,
+    turn: 360,
+  };
+
+  return value * degreesPerUnit[unit];
+}
+
+/**
+ * Split the arguments of a color function into components and alpha
+ * Accepts both the legacy comma syntax and the space syntax with "/ alpha".
+ * @param {string} body - Text between the parentheses
+ * @returns {Object|null} {components, alpha} with string tokens
+ */
+function splitArguments(body) {
+  const trimmed = body.trim();
+
+  if (trimmed.indexOf(",") !== -1) {
+    const parts = trimmed.split(",").map((part) => part.trim());
+    if (parts.length < 3 || parts.length > 4 || parts.some((p) => !p)) {
+      return null;
+    }
+
+    return { components: parts.slice(0, 3), alpha: parts[3] };
+  }
+
+  const [main, alpha, extra] = trimmed.split("/").map((part) => part.trim());
+  if (extra !== undefined || alpha === "") {
+    return null;
+  }
+
+  return { components: main.split(/\s+/).filter(Boolean), alpha };
+}
+
+/**
+ * Parse an alpha token
+ * @param {string} [token] - Alpha token (1 when omitted)
+ * @returns {number|null} Alpha between 0 and 1 (null when invalid)
+ */
+function parseAlpha(token) {
+  if (token === undefined) {
+    return 1;
+  }
+
+  const alpha = parseComponent(token, 1);
+  return alpha === null ? null : clampChannel(alpha, 0, 1);
+}
+
+/**
+ * Parse a hex color (3, 4, 6 or 8 digits)
+ * @param {string} hex - Hex digits without "#"
+ * @returns {Object|null} {r, g, b, a}
+ */
+function parseHex(hex) {
+  if (!/^([a-f\d]{3,4}|[a-f\d]{6}|[a-f\d]{8})$/i.test(hex)) {
+    return null;
+  }
+
+  const digits =
+    hex.length <= 4
+      ? hex
+          .split("")
+          .map((digit) => digit + digit)
+          .join("")
+      : hex;
+
+  return {
+    r: parseInt(digits.substring(0, 2), 16),
+    g: parseInt(digits.substring(2, 4), 16),
+    b: parseInt(digits.substring(4, 6), 16),
+    a: digits.length === 8 ? parseInt(digits.substring(6, 8), 16) / 255 : 1,
+  };
+}
+
+/**
+ * Parse a color function such as rgb(), hsl(), hwb(), lab() or color()
+ * @param {string} name - Function name
+ * @param {string} body - Text between the parentheses
+ * @returns {Object|null} {r, g, b, a}
+ */
+function parseFunction(name, body) {
+  const args = splitArguments(body);
+
+  // color() starts with the color space name
+  const space =
+    name === "color" && args
+      ? (args.components.shift() || "").toLowerCase()
+      : null;
+
+  if (!args || args.components.length !== 3) {
+    return null;
+  }
+
+  const alpha = parseAlpha(args.alpha);
+  const [first, second, third] = args.components.map((token) =>
+    token.toLowerCase()
+  );
+  let rgb = null;
+
+  switch (name) {
+    case "rgb":
+    case "rgba": {
+      const channels = [first, second, third].map((token) =>
+        parseComponent(token, 255)
+      );
+      if (channels.indexOf(null) === -1) {
+        const [r, g, b] = channels.map((value) =>
+          Math.round(clampChannel(value, 0, 255))
+        );
+        rgb = { r, g, b };
+      }
+      break;
+    }
+    case "hsl":
+    case "hsla":
+    case "hwb": {
+      const hue = parseHue(first);
+      const x = parseComponent(second, 100);
+      const y = parseComponent(third, 100);
+      if (hue !== null && x !== null && y !== null) {
+        const convert = name === "hwb" ? fromHwb : fromHsl;
+        rgb = convert(
+          hue,
+          clampChannel(x / 100, 0, 1),
+          clampChannel(y / 100, 0, 1)
+        );
+      }
+      break;
+    }
+    case "lab":
+    case "oklab": {
+      const isOk = name === "oklab";
+      const l = parseComponent(first, isOk ? 1 : 100);
+      const a = parseComponent(second, isOk ? 0.4 : 125);
+      const b = parseComponent(third, isOk ? 0.4 : 125);
+      if (l !== null && a !== null && b !== null) {
+        rgb = isOk
+          ? fromOklab(clampChannel(l, 0, 1), a, b)
+          : fromLab(clampChannel(l, 0, 100), a, b);
+      }
+      break;
+    }
+    case "lch":
+    case "oklch": {
+      const isOk = name === "oklch";
+      const l = parseComponent(first, isOk ? 1 : 100);
+      const c = parseComponent(second, isOk ? 0.4 : 150);
+      const h = parseHue(third);
+      if (l !== null && c !== null && h !== null) {
+        const [a, b] = fromPolar(Math.max(c, 0), h);
+        rgb = isOk
+          ? fromOklab(clampChannel(l, 0, 1), a, b)
+          : fromLab(clampChannel(l, 0, 100), a, b);
+      }
+      break;
+    }
+    case "color": {
+      const channels = [first, second, third].map((token) =>
+        parseComponent(token, 1)
+      );
+      if (COLOR_SPACES[space] && channels.indexOf(null) === -1) {
+        rgb = COLOR_SPACES[space](channels);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  if (!rgb || alpha === null) {
+    return null;
+  }
+
+  return { ...rgb, a: alpha };
+}
+
+/**
+ * Resolve a color through the browser's computed style
+ * Covers system colors and syntaxes this module does not know.
+ * @param {string} color - Color string
+ * @param {Element} [element] - Element providing currentColor
+ * @returns {Object|null} {r, g, b, a}
+ */
+function resolveComputedColor(color, element) {
+  if (
+    typeof document === "undefined" ||
+    !document.body ||
+    typeof window.getComputedStyle === "undefined"
+  ) {
+    return null;
+  }
+
+  if (color.toLowerCase() === "currentcolor") {
+    const source = element && element.nodeType === 1 ? element : document.body;
+    return parseColorSyntax(window.getComputedStyle(source).color);
+  }
+
+  const probe = document.createElement("span");
+  probe.style.color = color;
+
+  // The browser rejected the value
+  if (!probe.style.color) {
+    return null;
+  }
+
+  probe.style.display = "none";
+  document.body.appendChild(probe);
+  const computed = window.getComputedStyle(probe).color;
+  document.body.removeChild(probe);
+
+  return parseColorSyntax(computed);
+}
+
+/**
+ * Parse a color string without consulting the browser
+ * @param {string} color - Color string
+ * @returns {Object|null} {r, g, b, a}
+ */
+function parseColorSyntax(color) {
+  if (typeof color !== "string") {
+    return null;
+  }
+
+  const value = color.trim().toLowerCase();
+
+  if (value === "transparent") {
+    return { r: 0, g: 0, b: 0, a: 0 };
+  }
+
+  if (value.charAt(0) === "#") {
+    return parseHex(value.substring(1));
+  }
+
+  if (NAMED_COLORS[value]) {
+    return parseHex(NAMED_COLORS[value]);
+  }
+
+  const functionMatch = value.match(/^([a-z]+)\(([^()]*)\)$/);
+  if (functionMatch) {
+    return parseFunction(functionMatch[1], functionMatch[2]);
+  }
+
+  return null;
+}
+
+/**
+ * Parse any CSS color into sRGB channels and alpha
+ * Falls back to the browser's computed style for currentColor, system colors
+ * and anything else the syntax parser does not understand.
+ * @param {string} color - CSS color string
+ * @param {Element} [element] - Element providing currentColor
+ * @returns {Object|null} {r, g, b, a} with channels 0-255 and alpha 0-1, or null
+ */
+export function parseColor(color, element) {
+  if (typeof color !== "string" || color.trim() === "") {
+    return null;
+  }
+
+  return parseColorSyntax(color) || resolveComputedColor(color.trim(), element);
+}
+
+/**
+ * Format a color as rgba() with the given alpha
+ * @param {Object} color - {r, g, b}
+ * @param {number} alpha - Alpha between 0 and 1
+ * @returns {string} rgba() color string
+ */
+export function formatColor(color, alpha) {
+  return `rgba(${color.r}, ${color.g}, ${color.b}, ${clampChannel(
+    alpha,
+    0,
+    1
+  )})`;
+}
@@ -0,0 +1,79 @@
+/**
+ * Response curves - map finger spread to scale and scale to overlay opacity
+ */
+
+import { EASINGS } from "./animation.js";
+import { clamp } from "./utils.js";
+import { errorHandler } from "./error-handler.js";
+
+/**
+ * Scale curves mapping the finger distance ratio to a scale factor
+ * Every curve passes through 1 at a ratio of 1, so a pinch starts without a jump.
+ */
+export const SCALE_CURVES = {
+  linear: (ratio) => ratio,
+  // More responsive at the start of a pinch, calmer as the fingers spread
+  easeOut: (ratio) => {
+    const x = Math.log(ratio);
+    return Math.exp((1.5 * x) / (1 + 0.5 * Math.abs(x)));
+  },
+  // Slow at first, then grows faster the further the fingers spread
+  exponential: (ratio) => Math.exp(ratio - 1),
+};
+
+/**
+ * Opacity curves mapping zoom progress (0-1) to overlay opacity progress (0-1)
+ */
+export const OPACITY_CURVES = EASINGS;
+
+/**
+ * Resolve a curve name or function
+ * @param {string|Function} curve - Curve name or custom function
+ * @param {Object} presets - Named curves
+ * @returns {Function} Curve function
+ */
+function resolveCurve(curve, presets) {
+  if (typeof curve === "function") {
+    return curve;
+  }
+
+  return presets[curve] || presets.linear;
+}
+
+/**
+ * Map a finger distance ratio through a scale curve
+ * @param {string|Function} curve - Scale curve name or function
+ * @param {number} ratio - Current / initial finger distance
+ * @returns {number} Scale factor relative to the gesture start
+ */
+export function applyScaleCurve(curve, ratio) {
+  if (!(ratio > 0)) {
+    return ratio;
+  }
+
+  const factor = errorHandler.safeExecute(
+    () => resolveCurve(curve, SCALE_CURVES)(ratio),
+    "applying scale curve",
+    ratio
+  );
+
+  // Custom curves must produce a usable factor
+  return Number.isFinite(factor) && factor > 0 ? factor : ratio;
+}
+
+/**
+ * Map zoom progress through an opacity curve
+ * @param {string|Function} curve - Opacity curve name or function
+ * @param {number} progress - Zoom progress between 1x (0) and maxScale (1)
+ * @returns {number} Opacity progress (0-1)
+ */
+export function applyOpacityCurve(curve, progress) {
+  const clampedProgress = clamp(progress, 0, 1);
+  const value = errorHandler.safeExecute(
+    () => resolveCurve(curve, OPACITY_CURVES)(clampedProgress),
+    "applying opacity curve",
+    clampedProgress
+  );
+
+  return Number.isFinite(value) ? clamp(value, 0, 1) : clampedProgress;
+}
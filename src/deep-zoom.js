@@ -0,0 +1,509 @@
+/**
+ * Deep zoom - tiled rendering of very large images from DZI or IIIF descriptors
+ * The descriptor describes a pyramid of levels cut into tiles. DeepZoomRenderer
+ * keeps a low-resolution level under the whole image and loads tiles of the
+ * level matching the zoomed size only where they are inside the viewport.
+ */
+
+import { errorHandler, logger } from "./error-handler.js";
+
+/**
+ * Attribute holding the descriptor URL of a deep zoom element
+ */
+export const TILE_SOURCE_ATTRIBUTE = "data-tile-source";
+
+/**
+ * Tile size used when an IIIF descriptor doesn't list one
+ */
+const DEFAULT_IIIF_TILE_SIZE = 512;
+
+/**
+ * Loaded tile sources by descriptor URL
+ */
+const tileSources = new Map();
+
+/**
+ * Descriptor requests in flight or settled, by descriptor URL
+ */
+const tileSourceRequests = new Map();
+
+/**
+ * Build one pyramid level
+ * @param {number} index - Level index (higher is sharper)
+ * @param {number} width - Full image width
+ * @param {number} height - Full image height
+ * @param {number} factor - Downscale factor of the level
+ * @returns {Object} Level {index, width, height, factor}
+ */
+function createLevel(index, width, height, factor) {
+  return {
+    index,
+    width: Math.ceil(width / factor),
+    height: Math.ceil(height / factor),
+    factor,
+  };
+}
+
+/**
+ * Read a Deep Zoom Image (.dzi) descriptor
+ * Tiles live next to the descriptor in "<name>_files/<level>/<col>_<row>.<format>".
+ * @param {string} text - XML descriptor
+ * @param {string} url - Absolute descriptor URL
+ * @returns {Object} Tile source
+ */
+function parseDzi(text, url) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  const image = doc.getElementsByTagName("Image")[0];
+  const size = doc.getElementsByTagName("Size")[0];
+
+  if (!image || !size) {
+    throw new Error("Not a DZI descriptor");
+  }
+
+  const width = parseInt(size.getAttribute("Width"), 10);
+  const height = parseInt(size.getAttribute("Height"), 10);
+  const tileSize = parseInt(image.getAttribute("TileSize"), 10);
+  const overlap = parseInt(image.getAttribute("Overlap"), 10) || 0;
+  const format = image.getAttribute("Format") || "jpg";
+
+  if (!(width > 0) || !(height > 0) || !(tileSize > 0)) {
+    throw new Error("DZI descriptor is missing its size or tile size");
+  }
+
+  const base = new URL(url);
+  const name = base.pathname
+    .split("/")
+    .pop()
+    .replace(/\.[^.]*$/, "");
+  const tilesUrl = new URL(`${name}_files/`, base).href;
+
+  // Level n is the image scaled to fit 2^n px
+  const maxLevel = Math.ceil(Math.log2(Math.max(width, height)));
+  const levels = [];
+  for (let index = 0; index <= maxLevel; index++) {
+    levels.push(createLevel(index, width, height, 2 ** (maxLevel - index)));
+  }
+
+  return {
+    width,
+    height,
+    tileWidth: tileSize,
+    tileHeight: tileSize,
+    levels,
+
+    getTileRect(level, col, row) {
+      const x = col * tileSize - (col > 0 ? overlap : 0);
+      const y = row * tileSize - (row > 0 ? overlap : 0);
+
+      return {
+        x,
+        y,
+        width: Math.min((col + 1) * tileSize + overlap, level.width) - x,
+        height: Math.min((row + 1) * tileSize + overlap, level.height) - y,
+      };
+    },
+
+    getTileUrl(level, col, row) {
+      return `${tilesUrl}${level.index}/${col}_${row}.${format}`;
+    },
+  };
+}
+
+/**
+ * Read an IIIF Image API (2.x or 3.x) info.json descriptor
+ * Tiles are requested from the service id; without one, from the descriptor's folder.
+ * @param {Object} info - Parsed info.json
+ * @param {string} url - Absolute descriptor URL
+ * @returns {Object} Tile source
+ */
+function parseIiif(info, url) {
+  const { width, height } = info;
+  if (!(width > 0) || !(height > 0)) {
+    throw new Error("IIIF descriptor is missing its size");
+  }
+
+  const id = info.id || info["@id"];
+  const serviceUrl = new URL(id || ".", url).href.replace(/\/$/, "");
+
+  // Image API 3 spells out both dimensions of the tile size
+  const context = [].concat(info["@context"] || []).join(" ");
+  const isVersion3 =
+    info.type === "ImageService3" || context.indexOf("image/3") !== -1;
+
+  const tiles = (info.tiles && info.tiles[0]) || {};
+  const tileWidth = tiles.width || DEFAULT_IIIF_TILE_SIZE;
+  const tileHeight = tiles.height || tileWidth;
+
+  let scaleFactors = tiles.scaleFactors;
+  if (!scaleFactors || scaleFactors.length === 0) {
+    scaleFactors = [1];
+    while (Math.max(width, height) / scaleFactors[0] > tileWidth) {
+      scaleFactors.unshift(scaleFactors[0] * 2);
+    }
+  }
+
+  const levels = scaleFactors
+    .slice()
+    .sort((a, b) => b - a)
+    .map((factor, index) => createLevel(index, width, height, factor));
+
+  return {
+    width,
+    height,
+    tileWidth,
+    tileHeight,
+    levels,
+
+    getTileRect(level, col, row) {
+      const x = col * tileWidth;
+      const y = row * tileHeight;
+
+      return {
+        x,
+        y,
+        width: Math.min(tileWidth, level.width - x),
+        height: Math.min(tileHeight, level.height - y),
+      };
+    },
+
+    getTileUrl(level, col, row) {
+      const rect = this.getTileRect(level, col, row);
+      const region = [
+        rect.x * level.factor,
+        rect.y * level.factor,
+        Math.min(rect.width * level.factor, width - rect.x * level.factor),
+        Math.min(rect.height * level.factor, height - rect.y * level.factor),
+      ].join(",");
+      const size = isVersion3
+        ? `${rect.width},${rect.height}`
+        : `${rect.width},`;
+
+      return `${serviceUrl}/${region}/${size}/0/default.jpg`;
+    },
+  };
+}
+
+/**
+ * Fetch and parse a DZI or IIIF descriptor (cached per URL)
+ * @param {string} url - Descriptor URL
+ * @returns {Promise<Object>} Tile source {width, height, tileWidth, tileHeight, levels, getTileRect, getTileUrl}
+ */
+export function loadTileSource(url) {
+  const absoluteUrl = new URL(url, document.baseURI).href;
+
+  if (tileSourceRequests.has(absoluteUrl)) {
+    return tileSourceRequests.get(absoluteUrl);
+  }
+
+  const request = fetch(absoluteUrl)
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return response.text();
+    })
+    .then((text) => {
+      const source =
+        text.trim().charAt(0) === "<"
+          ? parseDzi(text, absoluteUrl)
+          : parseIiif(JSON.parse(text), absoluteUrl);
+
+      tileSources.set(absoluteUrl, source);
+      return source;
+    });
+
+  // Allow another attempt if the descriptor couldn't be loaded
+  request.catch(() => tileSourceRequests.delete(absoluteUrl));
+
+  tileSourceRequests.set(absoluteUrl, request);
+  return request;
+}
+
+/**
+ * Return an already loaded tile source
+ * @param {string} url - Descriptor URL
+ * @returns {Object|null} Tile source, or null until it has loaded
+ */
+export function getTileSource(url) {
+  return tileSources.get(new URL(url, document.baseURI).href) || null;
+}
+
+/**
+ * Pick the coarsest level at least as wide as the drawn image
+ * @param {Object} source - Tile source
+ * @param {number} width - Drawn width in device pixels
+ * @returns {Object} Level
+ */
+function getLevelForWidth(source, width) {
+  return (
+    source.levels.find((level) => level.width >= width) ||
+    source.levels[source.levels.length - 1]
+  );
+}
+
+export class DeepZoomRenderer {
+  /**
+   * @param {Element} element - Element with a data-tile-source attribute
+   * @param {Function} getContentRect - Returns the drawn image rect as fractions of the element box
+   */
+  constructor(element, getContentRect) {
+    this.element = element;
+    this.getContentRect = getContentRect;
+    this.url = element.getAttribute(TILE_SOURCE_ATTRIBUTE);
+
+    this.source = null;
+    this.layer = null;
+    this.content = null;
+    this.target = element;
+
+    // Tile entries {image, level, loaded} by "level/col_row"
+    this.tiles = new Map();
+    this.wantedKeys = new Set();
+    this.isDestroyed = false;
+
+    loadTileSource(this.url).then(
+      (source) => {
+        if (this.isDestroyed) {
+          return;
+        }
+
+        this.source = source;
+        this.mount();
+        this.update(this.target);
+      },
+      (error) => {
+        errorHandler.handleRuntimeError(
+          "loading deep zoom descriptor",
+          error,
+          this.url
+        );
+      }
+    );
+  }
+
+  /**
+   * Create the tile layer
+   */
+  mount() {
+    this.layer = document.createElement("div");
+    this.layer.className = "pinch-zoom-tiles";
+    Object.assign(this.layer.style, {
+      position: "relative",
+      width: "100%",
+      height: "100%",
+      overflow: "hidden",
+      pointerEvents: "none",
+    });
+
+    this.content = document.createElement("div");
+    this.content.style.position = "absolute";
+
+    this.layer.appendChild(this.content);
+  }
+
+  /**
+   * Lay out the tiles for the element's current transform
+   * Called on every rendered frame with the transformed element, which is a
+   * clone in portal mode; the tile layer moves along with it.
+   * @param {Element} target - Element currently receiving the transform
+   */
+  update(target) {
+    this.target = target;
+
+    if (!this.source || !this.layer) {
+      return false;
+    }
+
+    return errorHandler.safeExecute(
+      () => {
+        if (this.layer.parentNode !== target) {
+          target.appendChild(this.layer);
+        }
+
+        const contentRect = this.getContentRect();
+        Object.assign(this.content.style, {
+          left: `${contentRect.left * 100}%`,
+          top: `${contentRect.top * 100}%`,
+          width: `${contentRect.width * 100}%`,
+          height: `${contentRect.height * 100}%`,
+        });
+
+        const pixelRatio = window.devicePixelRatio || 1;
+        const rect = this.content.getBoundingClientRect();
+        if (!rect.width || !rect.height) {
+          return false;
+        }
+
+        // The untransformed size decides the base level, the zoomed size the detail level
+        const baseLevel = getLevelForWidth(
+          this.source,
+          this.content.offsetWidth * pixelRatio
+        );
+        const detailLevel = getLevelForWidth(
+          this.source,
+          rect.width * pixelRatio
+        );
+
+        const visible = {
+          left: Math.max(0, -rect.left / rect.width),
+          top: Math.max(0, -rect.top / rect.height),
+          right: Math.min(1, (window.innerWidth - rect.left) / rect.width),
+          bottom: Math.min(1, (window.innerHeight - rect.top) / rect.height),
+        };
+
+        this.wantedKeys = new Set();
+        this.showTiles(baseLevel, { left: 0, top: 0, right: 1, bottom: 1 });
+
+        if (
+          detailLevel.index > baseLevel.index &&
+          visible.right > visible.left &&
+          visible.bottom > visible.top
+        ) {
+          this.showTiles(detailLevel, visible);
+        }
+
+        this.pruneTiles();
+        return true;
+      },
+      "updating deep zoom tiles",
+      false
+    );
+  }
+
+  /**
+   * Add the tiles of a level covering a region of the image
+   * @param {Object} level - Pyramid level
+   * @param {Object} region - {left, top, right, bottom} as fractions of the image
+   */
+  showTiles(level, region) {
+    const { tileWidth, tileHeight } = this.source;
+    const cols = Math.ceil(level.width / tileWidth);
+    const rows = Math.ceil(level.height / tileHeight);
+
+    const firstCol = Math.max(
+      0,
+      Math.floor((region.left * level.width) / tileWidth)
+    );
+    const lastCol = Math.min(
+      cols - 1,
+      Math.ceil((region.right * level.width) / tileWidth) - 1
+    );
+    const firstRow = Math.max(
+      0,
+      Math.floor((region.top * level.height) / tileHeight)
+    );
+    const lastRow = Math.min(
+      rows - 1,
+      Math.ceil((region.bottom * level.height) / tileHeight) - 1
+    );
+
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let col = firstCol; col <= lastCol; col++) {
+        const key = `${level.index}/${col}_${row}`;
+        this.wantedKeys.add(key);
+
+        if (!this.tiles.has(key)) {
+          this.addTile(key, level, col, row);
+        }
+      }
+    }
+  }
+
+  /**
+   * Create one tile image positioned in the image's coordinate space
+   * @param {string} key - Tile key
+   * @param {Object} level - Pyramid level
+   * @param {number} col - Tile column
+   * @param {number} row - Tile row
+   */
+  addTile(key, level, col, row) {
+    const rect = this.source.getTileRect(level, col, row);
+    const image = document.createElement("img");
+    const tile = { image, level, loaded: false };
+
+    image.alt = "";
+    image.draggable = false;
+    image.decoding = "async";
+    Object.assign(image.style, {
+      position: "absolute",
+      left: `${(rect.x / level.width) * 100}%`,
+      top: `${(rect.y / level.height) * 100}%`,
+      width: `${(rect.width / level.width) * 100}%`,
+      height: `${(rect.height / level.height) * 100}%`,
+      maxWidth: "none",
+      maxHeight: "none",
+      margin: "0",
+      border: "0",
+      // Sharper levels draw over coarser ones
+      zIndex: String(level.index),
+    });
+
+    image.onload = () => {
+      tile.loaded = true;
+      this.pruneTiles();
+    };
+    image.onerror = () => {
+      // Treat a missing tile as done so coarser tiles can still be released
+      tile.loaded = true;
+      image.style.visibility = "hidden";
+      logger.debug(`Deep zoom tile failed to load: ${image.src}`);
+    };
+    image.src = this.source.getTileUrl(level, col, row);
+
+    this.tiles.set(key, tile);
+    this.content.appendChild(image);
+  }
+
+  /**
+   * Remove tiles that are no longer needed
+   * Old tiles stay until every wanted tile has loaded, so zooming never
+   * uncovers an empty area.
+   */
+  pruneTiles() {
+    const pending = Array.from(this.wantedKeys).some(
+      (key) => this.tiles.has(key) && !this.tiles.get(key).loaded
+    );
+    if (pending) {
+      return;
+    }
+
+    this.tiles.forEach((tile, key) => {
+      if (!this.wantedKeys.has(key)) {
+        this.removeTile(key);
+      }
+    });
+  }
+
+  /**
+   * Remove one tile image
+   * @param {string} key - Tile key
+   */
+  removeTile(key) {
+    const tile = this.tiles.get(key);
+    tile.image.onload = null;
+    tile.image.onerror = null;
+
+    if (tile.image.parentNode) {
+      tile.image.parentNode.removeChild(tile.image);
+    }
+
+    this.tiles.delete(key);
+  }
+
+  /**
+   * Clean up DeepZoomRenderer
+   */
+  destroy() {
+    this.isDestroyed = true;
+
+    Array.from(this.tiles.keys()).forEach((key) => this.removeTile(key));
+
+    if (this.layer && this.layer.parentNode) {
+      this.layer.parentNode.removeChild(this.layer);
+    }
+
+    this.layer = null;
+    this.content = null;
+    this.source = null;
+  }
+}
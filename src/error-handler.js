@@ -149,7 +149,7 @@ export class ErrorHandler {
   handleNonImageWarning(element) {
     const tagName = element.tagName ? element.tagName.toLowerCase() : "unknown";
     this.logger.warn(
-      `PinchZoom is designed for image elements. Found '${tagName}' element instead.`,
+      `PinchZoom works with img, picture, video, canvas, svg and background-image elements. Found '${tagName}' element instead.`,
       element
     );
     return false;
@@ -5,6 +5,9 @@
 import { TouchHandler } from "./touch-handler.js";
 import { ZoomController } from "./zoom-controller.js";
 import { OverlayManager } from "./overlay-manager.js";
+import { OverlayUI } from "./overlay-ui.js";
+import { DeepZoomRenderer } from "./deep-zoom.js";
+import { definePinchZoomImage } from "./pinch-zoom-image.js";
 import {
   getElements,
   isImageElement,
@@ -15,7 +18,11 @@ import {
   supportsTouchEvents,
   getBrowserCompatibility,
   detectLegacyBrowser,
+  createCustomEvent,
+  getDataOptions,
 } from "./utils.js";
+import { resolveZoomElement } from "./adapters.js";
+import { applyScaleCurve, applyOpacityCurve } from "./curves.js";
 import { errorHandler, logger } from "./error-handler.js";
 
 /**
@@ -27,8 +34,55 @@ const DEFAULT_OPTIONS = {
   minScale: 1,
   transitionDuration: "0.3s",
   zIndex: 1000,
+  wheelZoom: true,
+  wheelSettleDelay: 150,
+  doubleTapScale: 2.5,
+  releaseBehavior: "reset",
+  momentumDecay: 0.95,
+  momentumMinVelocity: 0.05,
+  overscaleResistance: 0.7,
+  mode: "inline",
+  scaleCurve: "linear",
+  opacityCurve: "linear",
+  overlayUI: false,
+  overlayStyle: "color",
+  blurRadius: 20,
+  contentMode: "image",
+  hiresThreshold: 1.5,
+  observe: false,
+  observeRoot: null,
 };
 
+/**
+ * Zoom lifecycle events dispatched on elements and to on() handlers
+ */
+const ZOOM_EVENTS = ["zoomstart", "zoom", "zoomend"];
+
+/**
+ * Scale step of the overlay toolbar's zoom buttons
+ */
+const TOOLBAR_ZOOM_STEP = 1.5;
+
+/**
+ * Scale at which the overlay is fully shown, however high maxScale goes
+ */
+const OVERLAY_FULL_SCALE = 10;
+
+/**
+ * Elements PinchZoom adds to the page, never attached to by observe
+ */
+const OWN_NODE_SELECTOR =
+  ".pinch-zoom-portal, .pinch-zoom-tiles, .pinch-zoom-ui";
+
+/**
+ * Check that a programmatic zoom argument is a usable number
+ * @param {any} value - Value to check
+ * @returns {boolean} Whether the value is a finite number
+ */
+function isFiniteNumber(value) {
+  return typeof value === "number" && isFinite(value);
+}
+
 /**
  * PinchZoom main class
  */
@@ -92,11 +146,22 @@ export class PinchZoom {
       });
     }
 
+    if (
+      validatedOptions.overlayStyle === "blur" &&
+      !this.compatibility.backdropFilter.supported
+    ) {
+      logger.warn(
+        "backdrop-filter is not supported. The blur overlay will use backgroundColor only."
+      );
+    }
+
     this.target = target;
     this.options = validatedOptions;
     this.instances = [];
     this.isInitialized = false;
     this.initializationErrors = [];
+    this.eventHandlers = new Map();
+    this.observer = null;
 
     // Auto-initialize
     this.init();
@@ -120,7 +185,8 @@ export class PinchZoom {
       []
     );
 
-    if (elements.length === 0) {
+    // With observe, matching elements may still be added later
+    if (elements.length === 0 && !this.options.observe) {
       const error = "No elements found for the given target";
       this.initializationErrors.push(error);
       errorHandler.handleValidationError(error, this.target);
@@ -131,24 +197,7 @@ export class PinchZoom {
     let skipCount = 0;
 
     elements.forEach((element, index) => {
-      // Validate element
-      const imageValidation = validateImageElement(element);
-
-      if (!imageValidation.isValid) {
-        const error = `Element ${index + 1}: ${imageValidation.warning}`;
-        this.initializationErrors.push(error);
-        errorHandler.handleNonImageWarning(element);
-        skipCount++;
-        return;
-      }
-
-      // Output warning but continue if there's a warning
-      if (imageValidation.warning) {
-        logger.warn(`Element ${index + 1}: ${imageValidation.warning}`);
-      }
-
-      // Attempt to initialize element
-      const success = this.initializeElement(element);
+      const success = this.attachElement(element, `Element ${index + 1}`);
       if (success) {
         successCount++;
       } else {
@@ -158,6 +207,10 @@ export class PinchZoom {
 
     this.isInitialized = true;
 
+    if (this.options.observe) {
+      this.startObserving();
+    }
+
     // Log initialization results
     if (successCount > 0) {
       logger.info(`PinchZoom initialized on ${successCount} elements`);
@@ -167,19 +220,180 @@ export class PinchZoom {
       logger.warn(`Skipped ${skipCount} elements due to validation errors`);
     }
 
-    if (successCount === 0) {
+    if (successCount === 0 && elements.length > 0) {
       logger.warn("No elements were successfully initialized");
     }
 
     return this;
   }
 
+  /**
+   * Validate a matched element and initialize PinchZoom on it
+   * @param {Element} element - Matched element
+   * @param {string} label - Element label used in messages
+   * @returns {boolean} Whether initialization was successful
+   */
+  attachElement(element, label) {
+    const elementOptions = getDataOptions(element);
+    const options = this.resolveOptions(elementOptions);
+
+    // Validate element
+    const imageValidation = validateImageElement(element, options.contentMode);
+
+    if (!imageValidation.isValid) {
+      const error = `${label}: ${imageValidation.warning}`;
+      this.initializationErrors.push(error);
+      errorHandler.handleNonImageWarning(element);
+      return false;
+    }
+
+    // Output warning but continue if there's a warning
+    if (imageValidation.warning) {
+      logger.warn(`${label}: ${imageValidation.warning}`);
+    }
+
+    // Attempt to initialize element (e.g. the <img> inside a <picture>)
+    return this.initializeElement(
+      resolveZoomElement(element, options.contentMode),
+      options,
+      elementOptions
+    );
+  }
+
+  /**
+   * Merge an element's own options over the instance-wide options
+   * @param {Object} elementOptions - Options read from the element's data attributes
+   * @returns {Object} Validated options for the element
+   */
+  resolveOptions(elementOptions) {
+    const { sanitized, errors } = validateAndSanitizeOptions(
+      elementOptions,
+      this.options
+    );
+
+    errors.forEach((error) => {
+      errorHandler.handleConfigurationError(
+        "data attributes",
+        error,
+        "using instance options"
+      );
+    });
+
+    return sanitized;
+  }
+
+  /**
+   * Watch the DOM to attach to added matching elements and detach removed ones
+   */
+  startObserving() {
+    if (this.observer) {
+      return;
+    }
+
+    if (typeof MutationObserver === "undefined") {
+      logger.warn("MutationObserver is not supported. observe has no effect.");
+      return;
+    }
+
+    const { observeRoot } = this.options;
+    const root =
+      typeof observeRoot === "string"
+        ? document.querySelector(observeRoot)
+        : observeRoot || document.body;
+
+    if (!root) {
+      logger.warn(`observeRoot not found: ${observeRoot}`);
+      return;
+    }
+
+    if (typeof this.target !== "string") {
+      logger.info(
+        "observe only attaches to new elements when the target is a selector; removed elements are still detached"
+      );
+    }
+
+    this.observer = new MutationObserver((mutations) => {
+      errorHandler.safeExecute(
+        () => this.handleMutations(mutations),
+        "syncing observed elements"
+      );
+    });
+    this.observer.observe(root, { childList: true, subtree: true });
+  }
+
+  /**
+   * Stop watching the DOM
+   */
+  stopObserving() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+  }
+
+  /**
+   * Attach to added elements matching the target and detach removed ones
+   * @param {MutationRecord[]} mutations - Observed mutations
+   */
+  handleMutations(mutations) {
+    let hasRemovals = false;
+    const addedNodes = [];
+
+    mutations.forEach((mutation) => {
+      if (mutation.removedNodes.length > 0) {
+        hasRemovals = true;
+      }
+
+      Array.from(mutation.addedNodes).forEach((node) => {
+        if (node.nodeType === 1 && !node.closest(OWN_NODE_SELECTOR)) {
+          addedNodes.push(node);
+        }
+      });
+    });
+
+    // Elements moved within the page are still connected and keep their instance
+    if (hasRemovals) {
+      this.instances
+        .filter((instance) => !document.contains(instance.element))
+        .forEach((instance) => {
+          logger.debug("Detaching PinchZoom from removed element", instance);
+          this.destroyInstance(instance);
+        });
+    }
+
+    if (typeof this.target !== "string") {
+      return;
+    }
+
+    addedNodes.forEach((node) => {
+      const matches = node.matches(this.target) ? [node] : [];
+
+      matches
+        .concat(Array.from(node.querySelectorAll(this.target)))
+        .forEach((element) => {
+          if (
+            document.contains(element) &&
+            !this.getInstance(element) &&
+            !element.closest(OWN_NODE_SELECTOR)
+          ) {
+            this.attachElement(element, "Added element");
+          }
+        });
+    });
+  }
+
   /**
    * Initialize PinchZoom on individual element
    * @param {Element} element - Image element to initialize
+   * @param {Object} options - Options of this element (instance-wide options by default)
+   * @param {Object} elementOptions - Options read from the element's data attributes
    * @returns {boolean} Whether initialization was successful
    */
-  initializeElement(element) {
+  initializeElement(
+    element,
+    options = { ...this.options },
+    elementOptions = {}
+  ) {
     return (
       errorHandler.handleRetryableError(
         "element initialization",
@@ -197,68 +411,202 @@ export class PinchZoom {
 
           // Create component instances (with retry capability)
           const overlayManager = errorHandler.safeExecute(
-            () => new OverlayManager(this.options),
+            () => new OverlayManager(element, options),
             "creating overlay manager",
             null
           );
 
           const zoomController = errorHandler.safeExecute(
-            () => new ZoomController(element, this.options),
+            () => new ZoomController(element, options),
             "creating zoom controller",
             null
           );
 
-          if (!overlayManager || !zoomController) {
+          // Toolbar and close button act through the public API
+          const overlayUI = errorHandler.safeExecute(
+            () =>
+              new OverlayUI(element, options, {
+                zoomIn: () =>
+                  this.zoomTo(
+                    element,
+                    zoomController.getTargetTransform().scale *
+                      TOOLBAR_ZOOM_STEP
+                  ),
+                zoomOut: () =>
+                  this.zoomTo(
+                    element,
+                    zoomController.getTargetTransform().scale /
+                      TOOLBAR_ZOOM_STEP
+                  ),
+                reset: () => this.reset(element),
+                close: () => this.reset(element),
+              }),
+            "creating overlay UI",
+            null
+          );
+
+          if (!overlayManager || !zoomController || !overlayUI) {
+            // Give back the shared overlay reference before retrying
+            if (overlayManager) {
+              overlayManager.destroy();
+            }
             throw new Error("Failed to create required components");
           }
 
+          // Last gesture focal point, reported in event details
+          let lastMidpoint = null;
+
+          const emitZoomEvent = (type) =>
+            this.emit(type, element, zoomController, lastMidpoint);
+
+          // Report zoomend once the element has come to rest
+          const emitWhenSettled = (promise) => {
+            promise.then((completed) => {
+              if (completed) {
+                emitZoomEvent("zoomend");
+              }
+            });
+            return promise;
+          };
+
+          // One-finger panning and overlay tap-to-dismiss for a zoom that stays
+          const setPersistentControls = (enabled) => {
+            touchHandler.setPanCapture(enabled);
+            overlayManager.setInteractive(enabled);
+            overlayUI.setPersistent(enabled);
+          };
+
+          // Keep the zoom after release and let one finger pan it
+          const persistZoom = () => {
+            setPersistentControls(true);
+            return emitWhenSettled(zoomController.settle());
+          };
+
+          // Return to the original size and give touches back to the page
+          const dismissZoom = (options = {}) => {
+            setPersistentControls(false);
+            return emitWhenSettled(zoomController.resetTransform(options));
+          };
+
           // Set up touch handler callbacks
           const touchCallbacks = {
-            onTouchStart: () => {
+            getScale: () => zoomController.getTransformState().scale,
+
+            onTouchStart: (data) =>
               errorHandler.safeExecute(
-                () => overlayManager.createOverlay(),
-                "creating overlay on touch start"
-              );
-            },
+                () => {
+                  lastMidpoint = data.midpoint;
+
+                  // Listeners can veto the gesture with preventDefault()
+                  if (!emitZoomEvent("zoomstart")) {
+                    return false;
+                  }
+
+                  overlayManager.createOverlay();
+
+                  // Anchor the zoom at the pinch midpoint
+                  zoomController.beginGesture(data.midpoint);
+                  return true;
+                },
+                "handling touch start",
+                true
+              ),
 
             onTouchMove: (data) => {
               errorHandler.safeExecute(() => {
-                const { scaleFactor } = data;
+                const { scaleFactor, panX, panY } = data;
+                lastMidpoint = data.midpoint;
 
-                // Apply scale limits
-                const clampedScale = Math.min(
-                  Math.max(scaleFactor, this.options.minScale),
-                  this.options.maxScale
-                );
+                // Pinches go through the scale curve; wheel factors are already scales
+                const factor = data.initialDistance
+                  ? applyScaleCurve(options.scaleCurve, scaleFactor)
+                  : scaleFactor;
 
-                // Apply zoom
-                zoomController.applyTransform(clampedScale, 0, 0);
+                // Apply zoom around the focal point and follow its drift (two-finger pan)
+                // The controller resists scaling past the limits (rubber band)
+                zoomController.updateGesture(factor, panX, panY);
+              }, "handling touch move");
+            },
 
-                // Update overlay opacity (proportional to scale)
-                const opacity = Math.min(
-                  (0.8 * (clampedScale - 1)) / (this.options.maxScale - 1),
-                  0.8
+            onDoubleTap: (data) => {
+              errorHandler.safeExecute(() => {
+                lastMidpoint = data.point;
+
+                if (!emitZoomEvent("zoomstart")) {
+                  return;
+                }
+
+                // Second double tap returns to the original size
+                if (zoomController.getTransformState().isZoomed) {
+                  dismissZoom();
+                  return;
+                }
+
+                overlayManager.createOverlay();
+                const zooming = zoomController.zoomAt(
+                  options.doubleTapScale,
+                  data.point
                 );
-                overlayManager.updateOverlay(opacity);
-              }, "handling touch move");
+
+                if (options.releaseBehavior === "persist") {
+                  persistZoom();
+                } else {
+                  emitWhenSettled(zooming);
+                }
+              }, "handling double tap");
+            },
+
+            onPanStart: () => {
+              errorHandler.safeExecute(
+                () => zoomController.beginPan(),
+                "handling pan start"
+              );
+            },
+
+            onPanMove: (data) => {
+              errorHandler.safeExecute(
+                () => zoomController.updatePan(data.deltaX, data.deltaY),
+                "handling pan move"
+              );
+            },
+
+            onPanEnd: (data) => {
+              errorHandler.safeExecute(() => {
+                zoomController.endPan();
+
+                // Coast after a flick
+                zoomController.startMomentum(data.velocity);
+              }, "handling pan end");
             },
 
             onTouchEnd: () => {
               errorHandler.safeExecute(() => {
-                // Restore to original state
-                zoomController.resetTransform();
-                overlayManager.updateOverlay(0);
+                zoomController.endGesture();
+
+                // Persistent mode keeps the zoom unless pinched back to 1x or below
+                const { scale } = zoomController.getTransformState();
+                if (options.releaseBehavior === "persist" && scale > 1) {
+                  persistZoom();
+                } else {
+                  dismissZoom();
+                }
               }, "handling touch end");
             },
           };
 
           const touchHandler = errorHandler.safeExecute(
-            () => new TouchHandler(element, touchCallbacks),
+            () =>
+              new TouchHandler(element, touchCallbacks, {
+                ...options,
+                // Links and buttons inside a container keep working until a pinch starts
+                interactiveChildren: options.contentMode === "container",
+              }),
             "creating touch handler",
             null
           );
 
           if (!touchHandler) {
+            overlayManager.destroy();
             throw new Error("Failed to create touch handler");
           }
 
@@ -270,24 +618,47 @@ export class PinchZoom {
           );
 
           if (!bindingSuccess) {
+            overlayManager.destroy();
             throw new Error("Failed to bind touch events");
           }
 
-          // Handle transition end events
-          errorHandler.safeExecute(() => {
-            zoomController.onTransitionEnd(() => {
-              const state = zoomController.getTransformState();
-              if (!state.isZoomed) {
-                // Hide overlay when zoom is completely released
-                setTimeout(() => {
-                  errorHandler.safeExecute(
-                    () => overlayManager.updateOverlay(0),
-                    "hiding overlay after transition"
-                  );
-                }, 50);
-              }
-            });
-          }, "setting up transition end handler");
+          // Tapping the overlay dismisses a persistent zoom
+          // Goes through reset() so the dismissal starts with zoomstart like other zooms
+          overlayManager.onClick(() => {
+            errorHandler.safeExecute(
+              () => this.reset(element),
+              "dismissing zoom"
+            );
+          });
+
+          // Deep zoom elements draw their tiles into the transformed element
+          const tileRenderer =
+            zoomController.adapter && zoomController.adapter.type === "tiles"
+              ? new DeepZoomRenderer(element, () =>
+                  zoomController.getContentRect()
+                )
+              : null;
+
+          // Drive overlay opacity from the same frames as the transform,
+          // so it fades out exactly as the image settles
+          zoomController.onTransformChange((state) => {
+            // Gestures on the portal clone drive this element's zoom
+            touchHandler.setProxy(zoomController.portal);
+
+            if (tileRenderer) {
+              tileRenderer.update(zoomController.target);
+            }
+            overlayManager.updateOverlay(
+              this.getOverlayOpacity(
+                state.scale,
+                overlayManager.getBackgroundColor().a,
+                options
+              ),
+              this.getOverlayProgress(state.scale, options)
+            );
+            overlayUI.update(state);
+            emitZoomEvent("zoom");
+          });
 
           // Store instance information
           const instance = {
@@ -295,8 +666,14 @@ export class PinchZoom {
             touchHandler,
             zoomController,
             overlayManager,
-            options: { ...this.options },
+            overlayUI,
+            tileRenderer,
+            options,
+            elementOptions,
             createdAt: new Date().toISOString(),
+            setPersistentControls,
+            dismissZoom,
+            emitWhenSettled,
           };
 
           this.instances.push(instance);
@@ -310,6 +687,273 @@ export class PinchZoom {
     );
   }
 
+  /**
+   * Register a zoom lifecycle event handler
+   * Handlers receive the same CustomEvent that is dispatched on the element.
+   * @param {string} eventName - "zoomstart", "zoom" or "zoomend"
+   * @param {Function} handler - Event handler
+   */
+  on(eventName, handler) {
+    return this.addEventHandler(eventName, handler, false);
+  }
+
+  /**
+   * Register a zoom lifecycle event handler that runs only once
+   * @param {string} eventName - "zoomstart", "zoom" or "zoomend"
+   * @param {Function} handler - Event handler
+   */
+  once(eventName, handler) {
+    return this.addEventHandler(eventName, handler, true);
+  }
+
+  /**
+   * Validate and store a zoom lifecycle event handler
+   * @param {string} eventName - "zoomstart", "zoom" or "zoomend"
+   * @param {Function} handler - Event handler
+   * @param {boolean} once - Remove the handler after its first call
+   */
+  addEventHandler(eventName, handler, once) {
+    if (!ZOOM_EVENTS.includes(eventName) || typeof handler !== "function") {
+      errorHandler.handleValidationError(
+        `Invalid event subscription: ${eventName}`,
+        handler
+      );
+      return this;
+    }
+
+    if (!this.eventHandlers.has(eventName)) {
+      this.eventHandlers.set(eventName, []);
+    }
+
+    this.eventHandlers.get(eventName).push({ handler, once });
+    return this;
+  }
+
+  /**
+   * Remove a zoom lifecycle event handler
+   * @param {string} eventName - Event name
+   * @param {Function} [handler] - Handler to remove (all handlers if omitted)
+   */
+  off(eventName, handler) {
+    if (!this.eventHandlers.has(eventName)) {
+      return this;
+    }
+
+    if (!handler) {
+      this.eventHandlers.delete(eventName);
+      return this;
+    }
+
+    this.eventHandlers.set(
+      eventName,
+      this.eventHandlers
+        .get(eventName)
+        .filter((entry) => entry.handler !== handler)
+    );
+    return this;
+  }
+
+  /**
+   * Dispatch a zoom lifecycle event on the element and to registered handlers
+   * @param {string} eventName - Event name
+   * @param {Element} element - Source element
+   * @param {ZoomController} zoomController - Zoom controller of the element
+   * @param {Object|null} midpoint - Gesture focal point {x, y}
+   * @returns {boolean} False if a listener called preventDefault()
+   */
+  emit(eventName, element, zoomController, midpoint = null) {
+    const state = zoomController.getTransformState();
+    const detail = {
+      scale: state.scale,
+      translateX: state.translateX,
+      translateY: state.translateY,
+      midpoint: midpoint ? { x: midpoint.x, y: midpoint.y } : null,
+      element,
+    };
+    const event = createCustomEvent(
+      eventName,
+      detail,
+      eventName === "zoomstart"
+    );
+
+    errorHandler.safeExecute(
+      () => element.dispatchEvent(event),
+      `dispatching ${eventName} event`
+    );
+
+    const handlers = this.eventHandlers.get(eventName) || [];
+    if (handlers.some((entry) => entry.once)) {
+      this.eventHandlers.set(
+        eventName,
+        handlers.filter((entry) => !entry.once)
+      );
+    }
+
+    handlers.forEach((entry) => {
+      errorHandler.safeExecute(
+        () => entry.handler.call(this, event),
+        `handling ${eventName} event`
+      );
+    });
+
+    return !event.defaultPrevented;
+  }
+
+  /**
+   * Zoom an element programmatically
+   * @param {Element} element - Initialized element
+   * @param {number} scale - Target scale (limited by minScale/maxScale)
+   * @param {Object} options - {x, y: element point to center (untransformed CSS px),
+   *   animate: whether to animate (default true)}
+   * @returns {Promise<boolean>} Resolves true when finished, false when interrupted
+   */
+  zoomTo(element, scale, options = {}) {
+    const instance = this.getInstance(element);
+    if (!instance) {
+      errorHandler.handleValidationError(
+        "Element is not managed by this PinchZoom instance",
+        element
+      );
+      return Promise.resolve(false);
+    }
+
+    if (
+      !isFiniteNumber(scale) ||
+      (options.x !== undefined && !isFiniteNumber(options.x)) ||
+      (options.y !== undefined && !isFiniteNumber(options.y))
+    ) {
+      errorHandler.handleValidationError(
+        "zoomTo() needs a finite scale and finite x/y coordinates",
+        { scale, x: options.x, y: options.y }
+      );
+      return Promise.resolve(false);
+    }
+
+    // Listeners can veto programmatic zooms like gestures
+    if (!this.emit("zoomstart", instance.element, instance.zoomController)) {
+      return Promise.resolve(false);
+    }
+
+    return errorHandler.safeExecute(
+      () => {
+        const { zoomController, overlayManager } = instance;
+
+        overlayManager.createOverlay();
+        const zooming = zoomController.zoomTo(scale, options);
+
+        // A programmatic zoom stays until reset, so it can be panned and dismissed
+        instance.setPersistentControls(
+          zoomController.getTargetTransform().scale > 1
+        );
+
+        return instance.emitWhenSettled(zooming);
+      },
+      "zooming programmatically",
+      Promise.resolve(false)
+    );
+  }
+
+  /**
+   * Pan a zoomed element programmatically
+   * @param {Element} element - Initialized element
+   * @param {number} x - Element point to center horizontally (untransformed CSS px)
+   * @param {number} y - Element point to center vertically (untransformed CSS px)
+   * @param {Object} options - {animate: whether to animate (default true)}
+   * @returns {Promise<boolean>} Resolves true when finished, false when interrupted
+   */
+  panTo(element, x, y, options = {}) {
+    const instance = this.getInstance(element);
+    if (!instance) {
+      errorHandler.handleValidationError(
+        "Element is not managed by this PinchZoom instance",
+        element
+      );
+      return Promise.resolve(false);
+    }
+
+    if (!isFiniteNumber(x) || !isFiniteNumber(y)) {
+      errorHandler.handleValidationError(
+        "panTo() needs finite x/y coordinates",
+        { x, y }
+      );
+      return Promise.resolve(false);
+    }
+
+    if (!this.emit("zoomstart", instance.element, instance.zoomController)) {
+      return Promise.resolve(false);
+    }
+
+    return errorHandler.safeExecute(
+      () =>
+        instance.emitWhenSettled(instance.zoomController.panTo(x, y, options)),
+      "panning programmatically",
+      Promise.resolve(false)
+    );
+  }
+
+  /**
+   * Return an element (or every element when omitted) to its original size
+   * @param {Element} [element] - Initialized element
+   * @param {Object} options - {animate: whether to animate (default true)}
+   * @returns {Promise<boolean>} Resolves true when finished, false when interrupted
+   */
+  reset(element, options = {}) {
+    if (!element) {
+      return Promise.all(
+        this.instances.map((instance) => this.resetInstance(instance, options))
+      ).then((results) => results.every(Boolean));
+    }
+
+    const instance = this.getInstance(element);
+    if (!instance) {
+      errorHandler.handleValidationError(
+        "Element is not managed by this PinchZoom instance",
+        element
+      );
+      return Promise.resolve(false);
+    }
+
+    return this.resetInstance(instance, options);
+  }
+
+  /**
+   * Dismiss one instance's zoom unless a zoomstart listener vetoes it
+   * @param {Object} instance - Instance to reset
+   * @param {Object} options - {animate: whether to animate (default true)}
+   * @returns {Promise<boolean>} Resolves true when finished, false when interrupted or vetoed
+   */
+  resetInstance(instance, options) {
+    if (!this.emit("zoomstart", instance.element, instance.zoomController)) {
+      return Promise.resolve(false);
+    }
+
+    return instance.dismissZoom(options);
+  }
+
+  /**
+   * Calculate overlay progress for a scale through the opacity curve
+   * Drives both the overlay opacity and the blur radius.
+   * @param {number} scale - Current scale
+   * @param {Object} options - Options of the zoomed element
+   * @returns {number} Overlay progress (0-1)
+   */
+  getOverlayProgress(scale, options = this.options) {
+    const fullScale = Math.min(options.maxScale, OVERLAY_FULL_SCALE);
+    const progress = Math.min(1, (scale - 1) / (fullScale - 1));
+    return applyOpacityCurve(options.opacityCurve, progress);
+  }
+
+  /**
+   * Calculate overlay opacity for a scale through the opacity curve
+   * @param {number} scale - Current scale
+   * @param {number} ceiling - Alpha of the configured backgroundColor
+   * @param {Object} options - Options of the zoomed element
+   * @returns {number} Overlay opacity (0 to the backgroundColor alpha)
+   */
+  getOverlayOpacity(scale, ceiling, options = this.options) {
+    return ceiling * this.getOverlayProgress(scale, options);
+  }
+
   /**
    * Update options
    * @param {Object} newOptions - New options
@@ -343,26 +987,55 @@ export class PinchZoom {
     // Update only valid options
     this.options = validatedOptions;
 
+    if (
+      this.isInitialized &&
+      (newOptions.observe !== undefined || newOptions.observeRoot !== undefined)
+    ) {
+      this.stopObserving();
+      if (this.options.observe) {
+        this.startObserving();
+      }
+    }
+
     // Apply option updates to each instance
     let updateCount = 0;
     this.instances.forEach((instance, index) => {
       const success = errorHandler.safeExecute(
         () => {
-          instance.options = { ...this.options };
+          // Per-element options keep overriding the new instance-wide options.
+          // Updated in place: the gesture callbacks hold this object.
+          Object.assign(
+            instance.options,
+            this.resolveOptions(instance.elementOptions)
+          );
 
           // Update options for each component
           if (
             instance.zoomController &&
             typeof instance.zoomController.updateOptions === "function"
           ) {
-            instance.zoomController.updateOptions(validatedOptions);
+            instance.zoomController.updateOptions(instance.options);
+          }
+
+          if (
+            instance.touchHandler &&
+            typeof instance.touchHandler.updateOptions === "function"
+          ) {
+            instance.touchHandler.updateOptions(instance.options);
           }
 
           if (
             instance.overlayManager &&
             typeof instance.overlayManager.updateOptions === "function"
           ) {
-            instance.overlayManager.updateOptions(validatedOptions);
+            instance.overlayManager.updateOptions(instance.options);
+          }
+
+          if (
+            instance.overlayUI &&
+            typeof instance.overlayUI.updateOptions === "function"
+          ) {
+            instance.overlayUI.updateOptions(instance.options);
           }
 
           updateCount++;
@@ -388,26 +1061,48 @@ export class PinchZoom {
    * Remove and clean up PinchZoom
    */
   destroy() {
-    this.instances.forEach((instance) => {
-      const { element, touchHandler, zoomController, overlayManager } =
-        instance;
-
-      // Clean up components
-      touchHandler.destroy();
-      zoomController.destroy();
-      overlayManager.destroy();
-
-      // Remove instance reference from element
-      delete element._pinchZoomInstance;
-    });
+    this.stopObserving();
+    this.instances
+      .slice()
+      .forEach((instance) => this.destroyInstance(instance));
 
     this.instances = [];
     this.isInitialized = false;
+    this.eventHandlers.clear();
 
     logger.info("PinchZoom destroyed");
     return this;
   }
 
+  /**
+   * Clean up the components of one element and forget its instance
+   * @param {Object} instance - Instance to destroy
+   */
+  destroyInstance(instance) {
+    const {
+      element,
+      touchHandler,
+      zoomController,
+      overlayManager,
+      overlayUI,
+      tileRenderer,
+    } = instance;
+
+    // Clean up components
+    touchHandler.destroy();
+    zoomController.destroy();
+    overlayManager.destroy();
+    overlayUI.destroy();
+    if (tileRenderer) {
+      tileRenderer.destroy();
+    }
+
+    // Remove instance reference from element
+    delete element._pinchZoomInstance;
+
+    this.instances = this.instances.filter((item) => item !== instance);
+  }
+
   /**
    * Return current state information
    * @returns {Object} State information
@@ -415,6 +1110,7 @@ export class PinchZoom {
   getState() {
     return {
       isInitialized: this.isInitialized,
+      isObserving: !!this.observer,
       instanceCount: this.instances.length,
       options: { ...this.options },
       initializationErrors: [...this.initializationErrors],
@@ -446,8 +1142,14 @@ export class PinchZoom {
       return null;
     }
 
+    // Each element resolves through its own content mode (data-pinch-content-mode)
     return (
-      this.instances.find((instance) => instance.element === element) || null
+      this.instances.find(
+        (instance) =>
+          instance.element === element ||
+          instance.element ===
+            resolveZoomElement(element, instance.options.contentMode)
+      ) || null
     );
   }
 
@@ -487,7 +1189,7 @@ export class PinchZoom {
 
     if (orphanedInstances > 0) {
       recommendations.push(
-        `Consider calling destroy() to clean up ${orphanedInstances} orphaned instances`
+        `Consider calling destroy() or enabling observe to clean up ${orphanedInstances} orphaned instances`
       );
     }
 
@@ -562,6 +1264,85 @@ export function safePinchZoom(target, options = {}) {
   }
 }
 
+/**
+ * Elements set up by autoInit()
+ */
+const AUTO_INIT_SELECTOR = "[data-pinch-zoom]";
+
+/**
+ * PinchZoom instance created by autoInit()
+ */
+let autoInstance = null;
+
+/**
+ * Set up every [data-pinch-zoom] element once the DOM is ready
+ * Each element's data-pinch-* attributes are merged over the given options.
+ * Later calls apply their options through updateOptions() and attach to
+ * marked-up elements added since, so calling it after the automatic run of
+ * the browser build still takes effect.
+ * @param {Object} options - Options shared by all marked-up elements
+ * @returns {Promise<PinchZoom|null>} PinchZoom instance, or null when nothing is marked up
+ */
+export function autoInit(options = {}) {
+  return new Promise((resolve) => {
+    const run = () => {
+      resolve(
+        errorHandler.safeExecute(
+          () => {
+            if (autoInstance) {
+              if (Object.keys(options).length > 0) {
+                autoInstance.updateOptions(options);
+              }
+
+              document
+                .querySelectorAll(AUTO_INIT_SELECTOR)
+                .forEach((element) => {
+                  if (!autoInstance.getInstance(element)) {
+                    autoInstance.attachElement(element, "Marked-up element");
+                  }
+                });
+              return autoInstance;
+            }
+
+            // Stay quiet on pages without marked-up elements
+            if (
+              !document.querySelector(AUTO_INIT_SELECTOR) &&
+              !options.observe
+            ) {
+              return null;
+            }
+
+            autoInstance = new PinchZoom(AUTO_INIT_SELECTOR, options);
+            return autoInstance;
+          },
+          "auto-initializing PinchZoom",
+          null
+        )
+      );
+    };
+
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", run, { once: true });
+    } else {
+      run();
+    }
+  });
+}
+
+/**
+ * Register the <pinch-zoom-image> custom element
+ * Done automatically by the browser build; module users call it themselves.
+ * @param {string} tagName - Tag name (defaults to "pinch-zoom-image")
+ * @returns {Function|null} Element class, or null when custom elements aren't supported
+ */
+export function defineCustomElement(tagName) {
+  return errorHandler.safeExecute(
+    () => definePinchZoomImage(PinchZoom, tagName),
+    "defining custom element",
+    null
+  );
+}
+
 // Default export
 export default PinchZoom;
 
@@ -1,25 +1,65 @@
 /**
  * 배경 오버레이 관리를 담당하는 OverlayManager 클래스
+ * 모든 PinchZoom 인스턴스가 하나의 공유 오버레이를 참조 카운팅으로 사용합니다
  */
 
+import { getBackdropFilterSupport, addEvent, removeEvent } from "./utils.js";
+import { parseColor, formatColor } from "./color.js";
 import { errorHandler } from "./error-handler.js";
 
-export class OverlayManager {
-  constructor(options = {}) {
-    this.options = {
-      backgroundColor: options.backgroundColor || "rgba(255, 255, 255, 0.8)",
-      zIndex: options.zIndex || 999,
-      ...options,
-    };
-
+/**
+ * 페이지 전체에서 하나만 존재하는 오버레이 레이어
+ * 각 OverlayManager가 획득(acquire)/해제(release)하며, 마지막 사용자가
+ * 해제될 때만 DOM에서 제거됩니다.
+ */
+export class SharedOverlay {
+  constructor() {
     this.overlay = null;
-    this.isVisible = false;
+    this.handles = new Set();
+    this.activeHandle = null;
+
+    this.boundHandleClick = this.handleClick.bind(this);
+  }
+
+  /**
+   * 오버레이 사용자를 등록합니다
+   * @param {OverlayManager} handle - 등록할 OverlayManager
+   * @returns {number} 현재 참조 수
+   */
+  acquire(handle) {
+    this.handles.add(handle);
+    return this.handles.size;
+  }
+
+  /**
+   * 오버레이 사용자를 해제하고, 마지막 사용자였다면 DOM을 제거합니다
+   * @param {OverlayManager} handle - 해제할 OverlayManager
+   * @returns {number} 남은 참조 수
+   */
+  release(handle) {
+    this.hide(handle);
+    this.handles.delete(handle);
+
+    if (this.handles.size === 0) {
+      this.removeOverlay();
+    }
+
+    return this.handles.size;
+  }
+
+  /**
+   * 현재 참조 수를 반환합니다
+   * @returns {number} 참조 수
+   */
+  getRefCount() {
+    return this.handles.size;
   }
 
   /**
    * 오버레이 요소를 생성합니다
+   * @param {number} zIndex - 오버레이 z-index
    */
-  createOverlay() {
+  createOverlay(zIndex) {
     return errorHandler.safeExecute(
       () => {
         if (this.overlay) {
@@ -38,13 +78,16 @@ export class OverlayManager {
           height: "100%",
           backgroundColor: "rgba(255, 255, 255, 0)", // 초기에는 투명
           pointerEvents: "none",
-          zIndex: this.options.zIndex.toString(),
-          transition: "background-color 0.1s ease-out",
+          zIndex: String(zIndex),
           display: "none",
         };
 
         Object.assign(this.overlay.style, styles);
 
+        // 고정 줌 모드에서 오버레이를 탭하면 활성 요소의 줌을 해제합니다
+        this.overlay.addEventListener("click", this.boundHandleClick);
+        this.applyInteractive();
+
         // body에 추가
         document.body.appendChild(this.overlay);
 
@@ -56,47 +99,187 @@ export class OverlayManager {
   }
 
   /**
-   * 오버레이를 표시하고 투명도를 업데이트합니다
-   * @param {number} opacity - 투명도 (0-1)
+   * 오버레이를 표시하고 해당 사용자를 활성 상태로 만듭니다
+   * 다른 요소가 활성 중이었다면 가장 최근에 확대한 요소가 오버레이를 가져갑니다.
+   * @param {OverlayManager} handle - 오버레이를 표시하는 OverlayManager
+   * @param {string} backgroundColor - 적용할 배경색
+   * @param {string} backdropFilter - 적용할 backdrop-filter 값 (없으면 빈 문자열)
+   * @returns {boolean} 성공 여부
+   */
+  show(handle, backgroundColor, backdropFilter = "") {
+    if (!this.createOverlay(handle.options.zIndex)) {
+      return false;
+    }
+
+    if (this.activeHandle !== handle) {
+      this.activeHandle = handle;
+      this.overlay.style.zIndex = String(handle.options.zIndex);
+      this.applyInteractive();
+    }
+
+    this.overlay.style.display = "block";
+    this.overlay.style.backgroundColor = backgroundColor;
+    this.applyBackdropFilter(backdropFilter);
+    return true;
+  }
+
+  /**
+   * backdrop-filter를 지원하는 속성으로 적용합니다
+   * @param {string} value - backdrop-filter 값
+   */
+  applyBackdropFilter(value) {
+    const support = getBackdropFilterSupport();
+
+    if (this.overlay && support.supported) {
+      this.overlay.style[support.property] = value;
+    }
+  }
+
+  /**
+   * 활성 사용자의 요청일 때만 오버레이를 숨깁니다
+   * @param {OverlayManager} handle - 오버레이를 숨기려는 OverlayManager
+   * @returns {boolean} 숨김 여부
+   */
+  hide(handle) {
+    if (this.activeHandle !== handle) {
+      return false;
+    }
+
+    this.activeHandle = null;
+
+    if (this.overlay) {
+      // 투명도는 줌 애니메이션과 같은 프레임에서 갱신되므로 바로 숨김
+      this.overlay.style.backgroundColor = "rgba(255, 255, 255, 0)";
+      this.overlay.style.display = "none";
+      this.applyBackdropFilter("");
+      this.applyInteractive();
+    }
+
+    return true;
+  }
+
+  /**
+   * 활성 사용자의 상호작용 상태를 오버레이 스타일에 반영합니다
+   */
+  applyInteractive() {
+    if (!this.overlay) {
+      return;
+    }
+
+    const isInteractive = !!(
+      this.activeHandle && this.activeHandle.isInteractive
+    );
+
+    this.overlay.style.pointerEvents = isInteractive ? "auto" : "none";
+    // 오버레이 위에서의 드래그로 페이지가 스크롤되지 않도록 합니다
+    this.overlay.style.touchAction = isInteractive ? "none" : "";
+  }
+
+  /**
+   * 오버레이 클릭을 활성 사용자에게 전달합니다
+   * @param {MouseEvent} event - 클릭 이벤트
    */
-  updateOverlay(opacity = 0) {
+  handleClick(event) {
+    if (this.activeHandle) {
+      this.activeHandle.handleClick(event);
+    }
+  }
+
+  /**
+   * 현재 오버레이를 사용 중인 요소를 반환합니다
+   * @returns {Element|null} 활성 요소
+   */
+  getActiveElement() {
+    return this.activeHandle ? this.activeHandle.element : null;
+  }
+
+  /**
+   * 오버레이 DOM을 제거합니다
+   */
+  removeOverlay() {
     return errorHandler.safeExecute(
       () => {
-        if (!this.overlay) {
-          this.createOverlay();
+        if (this.overlay && this.overlay.parentNode) {
+          this.overlay.removeEventListener("click", this.boundHandleClick);
+          this.overlay.parentNode.removeChild(this.overlay);
         }
+        this.overlay = null;
+        this.activeHandle = null;
+        return true;
+      },
+      "removing overlay",
+      false
+    );
+  }
+}
 
-        if (!this.overlay) {
-          return false;
-        }
+/**
+ * 모든 인스턴스가 공유하는 오버레이 서비스
+ */
+export const sharedOverlay = new SharedOverlay();
+
+/**
+ * 요소 하나에 대한 공유 오버레이 핸들
+ */
+export class OverlayManager {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.options = {
+      backgroundColor: options.backgroundColor || "rgba(255, 255, 255, 0.8)",
+      zIndex: options.zIndex || 999,
+      overlayStyle: options.overlayStyle || "color",
+      blurRadius: options.blurRadius !== undefined ? options.blurRadius : 20,
+      ...options,
+    };
+
+    this.isInteractive = false;
+    this.clickCallback = null;
+
+    // 블러 스타일 지원 여부와 이미지에서 추출한 색상 캐시
+    this.backdropSupport = getBackdropFilterSupport();
+    this.tintColor = null;
+
+    // 파싱한 backgroundColor는 옵션이 바뀔 때까지 재사용합니다 (currentColor 등은 스타일 계산이 필요)
+    this.parsedColor = null;
+
+    // 색상 추출에 실패하면 다음 load 이벤트까지 매 프레임 재시도하지 않습니다
+    this.tintFailed = false;
+    this.boundResetTint = this.resetTint.bind(this);
+
+    this.shared = sharedOverlay;
+    this.shared.acquire(this);
+  }
+
+  /**
+   * 공유 오버레이 요소를 준비합니다
+   */
+  createOverlay() {
+    return this.shared.createOverlay(this.options.zIndex);
+  }
 
+  /**
+   * 오버레이를 표시하고 투명도를 업데이트합니다
+   * @param {number} opacity - 투명도 (0-1)
+   * @param {number} progress - 확대 진행도 (0-1), 블러 반경에 사용
+   */
+  updateOverlay(opacity = 0, progress = opacity) {
+    return errorHandler.safeExecute(
+      () => {
         // 투명도 값 제한
         const clampedOpacity = Math.max(0, Math.min(1, opacity));
+        const backdropFilter = this.getBackdropFilter(progress);
 
-        if (clampedOpacity > 0) {
-          // 오버레이 표시
-          this.overlay.style.display = "block";
-          this.isVisible = true;
-
+        if (clampedOpacity > 0 || backdropFilter) {
           // 배경색에 투명도 적용
-          const backgroundColor = this.parseBackgroundColor(
-            this.options.backgroundColor,
+          const backgroundColor = formatColor(
+            this.getBaseColor(),
             clampedOpacity
           );
-          this.overlay.style.backgroundColor = backgroundColor;
-        } else {
-          // 오버레이 숨김
-          this.overlay.style.backgroundColor = "rgba(255, 255, 255, 0)";
-
-          // 약간의 지연 후 완전히 숨김
-          setTimeout(() => {
-            if (this.overlay && clampedOpacity === 0) {
-              this.overlay.style.display = "none";
-              this.isVisible = false;
-            }
-          }, 100);
+          return this.shared.show(this, backgroundColor, backdropFilter);
         }
 
+        // 다른 요소가 사용 중인 오버레이는 건드리지 않습니다
+        this.shared.hide(this);
         return true;
       },
       "updating overlay",
@@ -105,56 +288,150 @@ export class OverlayManager {
   }
 
   /**
-   * 배경색 문자열을 파싱하고 투명도를 적용합니다
-   * @param {string} backgroundColor - 배경색 문자열
-   * @param {number} opacity - 적용할 투명도
-   * @returns {string} 투명도가 적용된 배경색 문자열
+   * 확대 진행도에 따른 backdrop-filter 값을 계산합니다
+   * 지원하지 않는 브라우저에서는 배경색만 사용합니다.
+   * @param {number} progress - 확대 진행도 (0-1)
+   * @returns {string} backdrop-filter 값 (사용하지 않으면 빈 문자열)
    */
-  parseBackgroundColor(backgroundColor, opacity) {
-    // rgba 형식인지 확인
-    const rgbaMatch = backgroundColor.match(
-      /rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/
-    );
+  getBackdropFilter(progress) {
+    if (
+      this.options.overlayStyle !== "blur" ||
+      !this.backdropSupport.supported
+    ) {
+      return "";
+    }
+
+    const radius = Math.max(0, Math.min(1, progress)) * this.options.blurRadius;
+    return radius > 0 ? `blur(${radius}px)` : "";
+  }
+
+  /**
+   * 오버레이 스타일에 맞는 기본 색상을 반환합니다
+   * @returns {Object} 투명도를 적용하기 전의 색상 {r, g, b, a}
+   */
+  getBaseColor() {
+    if (this.options.overlayStyle === "tint") {
+      return this.getTintColor();
+    }
+
+    return this.getBackgroundColor();
+  }
+
+  /**
+   * 파싱한 backgroundColor를 반환합니다
+   * CSS Color 4의 모든 형식을 지원하며, currentColor는 요소 기준으로 계산합니다.
+   * @returns {Object} {r, g, b, a} (해석할 수 없으면 불투명한 흰색)
+   */
+  getBackgroundColor() {
+    if (!this.parsedColor) {
+      // 해석할 수 없는 색상은 흰색으로 대체
+      this.parsedColor = parseColor(
+        this.options.backgroundColor,
+        this.element
+      ) || { r: 255, g: 255, b: 255, a: 1 };
+    }
+
+    return this.parsedColor;
+  }
+
+  /**
+   * 이미지를 1x1 캔버스에 그려 평균 색상을 추출합니다
+   * 추출할 수 없으면 backgroundColor를 사용합니다.
+   * @returns {Object} 색상 {r, g, b, a}
+   */
+  getTintColor() {
+    if (this.tintColor) {
+      return this.tintColor;
+    }
+
+    if (this.tintFailed) {
+      return this.getBackgroundColor();
+    }
+
+    try {
+      const canvas = document.createElement("canvas");
+      canvas.width = 1;
+      canvas.height = 1;
+
+      const context = canvas.getContext("2d");
+      context.drawImage(this.element, 0, 0, 1, 1);
+      const [r, g, b, a] = context.getImageData(0, 0, 1, 1).data;
 
-    if (rgbaMatch) {
-      const [, r, g, b] = rgbaMatch;
-      return `rgba(${r}, ${g}, ${b}, ${opacity})`;
-    }
-
-    // hex 형식 처리
-    const hexMatch = backgroundColor.match(/^#([a-f\d]{3}|[a-f\d]{6})$/i);
-    if (hexMatch) {
-      const hex = hexMatch[1];
-      let r, g, b;
-
-      if (hex.length === 3) {
-        r = parseInt(hex[0] + hex[0], 16);
-        g = parseInt(hex[1] + hex[1], 16);
-        b = parseInt(hex[2] + hex[2], 16);
-      } else {
-        r = parseInt(hex.substring(0, 2), 16);
-        g = parseInt(hex.substring(2, 4), 16);
-        b = parseInt(hex.substring(4, 6), 16);
+      // 아직 로드되지 않은 이미지는 투명하게 그려집니다
+      if (a > 0) {
+        this.tintColor = { r, g, b, a: 1 };
+        return this.tintColor;
       }
+    } catch (error) {
+      // 교차 출처 이미지는 캔버스를 오염시키고, 이미지가 아닌 요소는 그릴 수 없습니다
+    }
+
+    // 이미지(또는 동영상)가 새로 로드되면 다시 시도합니다
+    this.tintFailed = true;
+    addEvent(this.element, "load", this.boundResetTint);
+    addEvent(this.element, "loadeddata", this.boundResetTint);
+
+    return this.getBackgroundColor();
+  }
+
+  /**
+   * 추출한 색상과 실패 기록을 지워 다음 프레임에 다시 추출하게 합니다
+   */
+  resetTint() {
+    removeEvent(this.element, "load", this.boundResetTint);
+    removeEvent(this.element, "loadeddata", this.boundResetTint);
+    this.tintFailed = false;
+    this.tintColor = null;
+  }
+
+  /**
+   * 이 요소가 현재 오버레이를 사용 중인지 확인합니다
+   * @returns {boolean} 활성 여부
+   */
+  isActive() {
+    return this.shared.activeHandle === this;
+  }
+
+  /**
+   * 오버레이가 클릭을 받을지 설정합니다 (고정 줌 모드)
+   * @param {boolean} enabled - 클릭 가능 여부
+   */
+  setInteractive(enabled) {
+    this.isInteractive = !!enabled;
+
+    if (this.isActive()) {
+      this.shared.applyInteractive();
+    }
+  }
+
+  /**
+   * 오버레이 클릭 콜백을 등록합니다
+   * @param {Function} callback - 오버레이 클릭 시 실행할 콜백
+   */
+  onClick(callback) {
+    this.clickCallback = callback;
+  }
 
-      return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+  /**
+   * 오버레이 클릭 이벤트를 처리합니다
+   * @param {MouseEvent} event - 클릭 이벤트
+   */
+  handleClick(event) {
+    if (!this.isInteractive || !this.clickCallback) {
+      return;
     }
 
-    // 명명된 색상이나 기타 형식의 경우 기본값 사용
-    return `rgba(255, 255, 255, ${opacity})`;
+    event.preventDefault();
+    this.clickCallback(event);
   }
 
   /**
-   * 오버레이를 완전히 제거합니다
+   * 이 요소가 사용 중인 오버레이를 숨깁니다 (DOM은 공유 서비스가 관리)
    */
   removeOverlay() {
     return errorHandler.safeExecute(
       () => {
-        if (this.overlay && this.overlay.parentNode) {
-          this.overlay.parentNode.removeChild(this.overlay);
-          this.overlay = null;
-          this.isVisible = false;
-        }
+        this.shared.hide(this);
         return true;
       },
       "removing overlay",
@@ -168,10 +445,12 @@ export class OverlayManager {
    */
   updateOptions(newOptions) {
     this.options = { ...this.options, ...newOptions };
+    this.parsedColor = null;
+    this.resetTint();
 
-    // 오버레이가 존재하면 z-index 업데이트
-    if (this.overlay && newOptions.zIndex) {
-      this.overlay.style.zIndex = newOptions.zIndex.toString();
+    // 이 요소가 오버레이를 사용 중이면 z-index 업데이트
+    if (this.isActive() && this.shared.overlay && newOptions.zIndex) {
+      this.shared.overlay.style.zIndex = newOptions.zIndex.toString();
     }
   }
 
@@ -181,17 +460,24 @@ export class OverlayManager {
    */
   getOverlayState() {
     return {
-      isVisible: this.isVisible,
-      exists: !!this.overlay,
+      isVisible: this.isActive(),
+      isInteractive: this.isInteractive,
+      exists: !!this.shared.overlay,
+      activeElement: this.shared.getActiveElement(),
+      refCount: this.shared.getRefCount(),
       backgroundColor: this.options.backgroundColor,
+      overlayStyle: this.options.overlayStyle,
       zIndex: this.options.zIndex,
     };
   }
 
   /**
-   * OverlayManager를 정리합니다
+   * OverlayManager를 정리하고 공유 오버레이 참조를 해제합니다
    */
   destroy() {
-    this.removeOverlay();
+    this.resetTint();
+    this.isInteractive = false;
+    this.clickCallback = null;
+    this.shared.release(this);
   }
 }
@@ -0,0 +1,389 @@
+/**
+ * OverlayUI class drawing optional controls above a zoomed element
+ * A scale indicator while pinching, a close button and zoom toolbar in
+ * persistent zoom, and a caption; each piece can be replaced by a render callback.
+ */
+
+import { addEvent, removeEvent } from "./utils.js";
+import { errorHandler } from "./error-handler.js";
+
+/**
+ * UI pieces in drawing order
+ */
+const UI_SLOTS = ["hud", "closeButton", "toolbar", "caption"];
+
+/**
+ * Class name and placement of each piece's wrapper
+ */
+const SLOT_LAYOUT = {
+  hud: {
+    className: "pinch-zoom-hud",
+    interactive: false,
+    style: { top: "16px", left: "50%", transform: "translateX(-50%)" },
+  },
+  closeButton: {
+    className: "pinch-zoom-close",
+    interactive: true,
+    style: { top: "16px", right: "16px" },
+  },
+  toolbar: {
+    className: "pinch-zoom-toolbar",
+    interactive: true,
+    style: { bottom: "16px", left: "50%", transform: "translateX(-50%)" },
+  },
+  caption: {
+    className: "pinch-zoom-caption",
+    interactive: false,
+    style: { bottom: "72px", left: "16px", right: "16px", textAlign: "center" },
+  },
+};
+
+/**
+ * Shared look of the default pieces
+ */
+const PILL_STYLE = {
+  padding: "6px 12px",
+  border: "0",
+  borderRadius: "16px",
+  background: "rgba(0, 0, 0, 0.6)",
+  color: "#fff",
+  font: "14px/1.4 sans-serif",
+};
+
+/**
+ * Attribute marking elements that trigger a UI action on click
+ */
+const ACTION_ATTRIBUTE = "data-pinch-zoom-action";
+
+/**
+ * Format a scale for the indicator
+ * @param {number} scale - Current scale
+ * @returns {string} Scale label, e.g. "2.4x"
+ */
+function formatScale(scale) {
+  return `${scale.toFixed(1)}x`;
+}
+
+/**
+ * Create a styled element for a default piece
+ * @param {string} tagName - Element tag name
+ * @param {string} text - Text content
+ * @param {string} [action] - Action triggered on click
+ * @param {string} [label] - Accessible label
+ * @returns {Element} Created element
+ */
+function createPill(tagName, text, action, label) {
+  const pill = document.createElement(tagName);
+  pill.textContent = text;
+  Object.assign(pill.style, PILL_STYLE);
+
+  if (action) {
+    pill.type = "button";
+    pill.style.cursor = "pointer";
+    pill.setAttribute(ACTION_ATTRIBUTE, action);
+  }
+
+  if (label) {
+    pill.setAttribute("aria-label", label);
+  }
+
+  return pill;
+}
+
+/**
+ * Default markup of each piece
+ */
+const DEFAULT_RENDERERS = {
+  hud: (context) => createPill("div", formatScale(context.scale)),
+  closeButton: () => createPill("button", "×", "close", "Close zoom"),
+  toolbar: () => {
+    const toolbar = document.createElement("div");
+    toolbar.style.display = "flex";
+    toolbar.style.gap = "8px";
+
+    toolbar.appendChild(createPill("button", "+", "zoomIn", "Zoom in"));
+    toolbar.appendChild(createPill("button", "−", "zoomOut", "Zoom out"));
+    toolbar.appendChild(createPill("button", "Reset", "reset", "Reset zoom"));
+    return toolbar;
+  },
+  caption: (context) => createPill("div", context.caption),
+};
+
+export class OverlayUI {
+  constructor(element, options = {}, actions = {}) {
+    this.element = element;
+    this.options = {
+      zIndex: options.zIndex || 1000,
+      overlayUI: options.overlayUI || false,
+    };
+    this.actions = actions;
+
+    this.container = null;
+    this.slots = {};
+    this.isPersistent = false;
+    this.lastState = null;
+
+    // Read when the UI layer is created rather than on every frame
+    this.caption = "";
+
+    this.boundHandleClick = this.handleClick.bind(this);
+  }
+
+  /**
+   * Resolve the overlayUI option into a renderer setting per piece
+   * @returns {Object|null} {hud, closeButton, toolbar, caption} or null when disabled
+   */
+  getConfig() {
+    const { overlayUI } = this.options;
+    if (!overlayUI) {
+      return null;
+    }
+
+    const config = {};
+    UI_SLOTS.forEach((slot) => {
+      // Pieces not mentioned in an options object stay on
+      const value = overlayUI === true ? true : overlayUI[slot];
+      config[slot] = value === undefined ? true : value;
+    });
+
+    return config;
+  }
+
+  /**
+   * Read the caption from the image's alt or the nearest figcaption
+   * @returns {string} Caption text (empty when there is none)
+   */
+  getCaption() {
+    const alt = this.element.getAttribute("alt");
+    if (alt && alt.trim()) {
+      return alt.trim();
+    }
+
+    const figure = this.element.closest ? this.element.closest("figure") : null;
+    const figcaption = figure ? figure.querySelector("figcaption") : null;
+
+    return figcaption ? figcaption.textContent.trim() : "";
+  }
+
+  /**
+   * Redraw the pieces for a transform state
+   * @param {Object} state - Transform state from ZoomController
+   */
+  update(state) {
+    return errorHandler.safeExecute(
+      () => {
+        this.lastState = state;
+
+        const config = this.getConfig();
+        if (!config || !(state.scale > 1)) {
+          this.unmount();
+          return false;
+        }
+
+        this.mount();
+
+        const context = this.getContext(state);
+        const showHud = state.isGesturing || !this.isPersistent;
+
+        this.renderSlot("hud", config.hud, showHud, context);
+        this.renderSlot(
+          "closeButton",
+          config.closeButton,
+          this.isPersistent,
+          context
+        );
+        this.renderSlot("toolbar", config.toolbar, this.isPersistent, context);
+        this.renderSlot("caption", config.caption, !!context.caption, context);
+        return true;
+      },
+      "updating overlay UI",
+      false
+    );
+  }
+
+  /**
+   * Build the object passed to render callbacks
+   * @param {Object} state - Transform state from ZoomController
+   * @returns {Object} {element, scale, caption, isPersistent, zoomIn, zoomOut, reset, close}
+   */
+  getContext(state) {
+    return {
+      element: this.element,
+      scale: state.scale,
+      caption: this.caption,
+      isPersistent: this.isPersistent,
+      ...this.actions,
+    };
+  }
+
+  /**
+   * Draw, keep or remove one piece
+   * @param {string} slot - Piece name
+   * @param {boolean|Function} renderer - true for the default markup or a render callback
+   * @param {boolean} visible - Whether the piece should be shown
+   * @param {Object} context - Render context
+   */
+  renderSlot(slot, renderer, visible, context) {
+    if (!renderer || !visible) {
+      this.removeSlot(slot);
+      return;
+    }
+
+    // The indicator follows the scale; the other pieces render once while shown
+    const key = slot === "hud" ? formatScale(context.scale) : "static";
+    if (this.slots[slot] && this.slots[slot].key === key) {
+      return;
+    }
+
+    this.removeSlot(slot);
+
+    const render =
+      typeof renderer === "function" ? renderer : DEFAULT_RENDERERS[slot];
+    const content = errorHandler.safeExecute(
+      () => render(context),
+      `rendering overlay UI ${slot}`,
+      null
+    );
+
+    if (!content) {
+      return;
+    }
+
+    const layout = SLOT_LAYOUT[slot];
+    const wrapper = document.createElement("div");
+    wrapper.className = layout.className;
+    Object.assign(wrapper.style, layout.style, {
+      position: "absolute",
+      pointerEvents: layout.interactive ? "auto" : "none",
+    });
+
+    // Strings are treated as markup supplied by the render callback
+    if (typeof content === "string") {
+      wrapper.innerHTML = content;
+    } else {
+      wrapper.appendChild(content);
+    }
+
+    this.container.appendChild(wrapper);
+    this.slots[slot] = { wrapper, key };
+  }
+
+  /**
+   * Remove one piece
+   * @param {string} slot - Piece name
+   */
+  removeSlot(slot) {
+    const entry = this.slots[slot];
+    if (entry && entry.wrapper.parentNode) {
+      entry.wrapper.parentNode.removeChild(entry.wrapper);
+    }
+    delete this.slots[slot];
+  }
+
+  /**
+   * Create the UI layer above the overlay and the zoomed element
+   */
+  mount() {
+    if (this.container) {
+      return;
+    }
+
+    this.caption = this.getCaption();
+
+    this.container = document.createElement("div");
+    this.container.className = "pinch-zoom-ui";
+    Object.assign(this.container.style, {
+      position: "fixed",
+      top: "0",
+      left: "0",
+      width: "100%",
+      height: "100%",
+      pointerEvents: "none",
+      zIndex: String(this.options.zIndex + 2),
+    });
+
+    addEvent(this.container, "click", this.boundHandleClick);
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Remove the UI layer
+   */
+  unmount() {
+    if (!this.container) {
+      return;
+    }
+
+    removeEvent(this.container, "click", this.boundHandleClick);
+    if (this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    this.container = null;
+    this.slots = {};
+  }
+
+  /**
+   * Run the action of a clicked element marked with data-pinch-zoom-action
+   * @param {MouseEvent} event - Click event
+   */
+  handleClick(event) {
+    let node = event.target;
+
+    while (node && node !== this.container) {
+      const action = node.getAttribute && node.getAttribute(ACTION_ATTRIBUTE);
+
+      if (action && typeof this.actions[action] === "function") {
+        event.preventDefault();
+        errorHandler.safeExecute(
+          () => this.actions[action](),
+          `running overlay UI action ${action}`
+        );
+        return;
+      }
+
+      node = node.parentNode;
+    }
+  }
+
+  /**
+   * Switch between the pinch indicator and the persistent zoom controls
+   * @param {boolean} enabled - Whether the zoom stays after release
+   */
+  setPersistent(enabled) {
+    this.isPersistent = !!enabled;
+
+    if (this.lastState) {
+      this.update(this.lastState);
+    }
+  }
+
+  /**
+   * Update options
+   * @param {Object} newOptions - New options
+   */
+  updateOptions(newOptions) {
+    if (newOptions.zIndex !== undefined) {
+      this.options.zIndex = newOptions.zIndex;
+    }
+
+    if (newOptions.overlayUI !== undefined) {
+      this.options.overlayUI = newOptions.overlayUI;
+    }
+
+    // Redraw with the new settings
+    this.unmount();
+    if (this.lastState) {
+      this.update(this.lastState);
+    }
+  }
+
+  /**
+   * Clean up OverlayUI
+   */
+  destroy() {
+    this.unmount();
+    this.actions = {};
+    this.lastState = null;
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * <pinch-zoom-image> custom element - a zoomable image usable from plain markup
+ * The element renders an <img> in its light DOM and runs a PinchZoom on it
+ * while connected. Option attributes are the kebab-case option names
+ * (max-scale, background-color, overlay-ui, ...), and zoom events are
+ * re-dispatched with the element itself as the target.
+ */
+
+import {
+  addEvent,
+  removeEvent,
+  createCustomEvent,
+  parseAttributeValue,
+} from "./utils.js";
+import { errorHandler } from "./error-handler.js";
+
+/**
+ * Default tag name of the element
+ */
+const DEFAULT_TAG_NAME = "pinch-zoom-image";
+
+/**
+ * Attributes copied to the inner <img>, by element attribute name
+ */
+const IMAGE_ATTRIBUTES = {
+  src: "src",
+  srcset: "srcset",
+  sizes: "sizes",
+  alt: "alt",
+  crossorigin: "crossorigin",
+  "zoom-src": "data-zoom-src",
+};
+
+/**
+ * Options settable through attributes
+ */
+const OPTION_NAMES = [
+  "backgroundColor",
+  "maxScale",
+  "minScale",
+  "transitionDuration",
+  "zIndex",
+  "wheelZoom",
+  "wheelSettleDelay",
+  "doubleTapScale",
+  "releaseBehavior",
+  "momentumDecay",
+  "momentumMinVelocity",
+  "overscaleResistance",
+  "mode",
+  "scaleCurve",
+  "opacityCurve",
+  "overlayUI",
+  "overlayStyle",
+  "blurRadius",
+  "hiresThreshold",
+];
+
+/**
+ * Option names by attribute name, e.g. "max-scale" -> "maxScale"
+ */
+const OPTION_ATTRIBUTES = OPTION_NAMES.reduce((attributes, name) => {
+  const attribute = name.replace(/[A-Z]+/g, (match) => {
+    return `-${match.toLowerCase()}`;
+  });
+  attributes[attribute] = name;
+  return attributes;
+}, {});
+
+/**
+ * Zoom events re-dispatched from the element
+ */
+const FORWARDED_EVENTS = ["zoomstart", "zoom", "zoomend"];
+
+/**
+ * Define the <pinch-zoom-image> custom element
+ * The PinchZoom class is passed in so this module doesn't import the entry point.
+ * @param {Function} PinchZoom - PinchZoom class
+ * @param {string} tagName - Tag name to register
+ * @returns {Function|null} Element class, or null when custom elements aren't supported
+ */
+export function definePinchZoomImage(PinchZoom, tagName = DEFAULT_TAG_NAME) {
+  if (
+    typeof window === "undefined" ||
+    !window.customElements ||
+    typeof HTMLElement === "undefined"
+  ) {
+    return null;
+  }
+
+  const existing = window.customElements.get(tagName);
+  if (existing) {
+    return existing;
+  }
+
+  class PinchZoomImage extends HTMLElement {
+    static get observedAttributes() {
+      return Object.keys(IMAGE_ATTRIBUTES).concat(
+        Object.keys(OPTION_ATTRIBUTES)
+      );
+    }
+
+    constructor() {
+      super();
+
+      this.image = null;
+      this.pinchZoom = null;
+      this.boundForwardEvent = this.forwardEvent.bind(this);
+    }
+
+    connectedCallback() {
+      errorHandler.safeExecute(() => {
+        this.renderImage();
+
+        if (!this.pinchZoom) {
+          this.createPinchZoom();
+        }
+      }, `connecting <${tagName}>`);
+    }
+
+    disconnectedCallback() {
+      errorHandler.safeExecute(
+        () => this.destroyPinchZoom(),
+        `disconnecting <${tagName}>`
+      );
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (oldValue === newValue) {
+        return;
+      }
+
+      errorHandler.safeExecute(() => {
+        if (IMAGE_ATTRIBUTES[name]) {
+          if (this.image) {
+            this.copyImageAttribute(name);
+          }
+          return;
+        }
+
+        if (!this.pinchZoom) {
+          return;
+        }
+
+        if (newValue === null) {
+          // A removed attribute falls back to the default, which needs a fresh instance
+          this.destroyPinchZoom();
+          this.createPinchZoom();
+        } else {
+          this.pinchZoom.updateOptions({
+            [OPTION_ATTRIBUTES[name]]: parseAttributeValue(newValue),
+          });
+        }
+      }, `updating <${tagName}> ${name}`);
+    }
+
+    /**
+     * Create the inner <img> on first connection
+     */
+    renderImage() {
+      if (this.image) {
+        return;
+      }
+
+      if (!this.style.display) {
+        this.style.display = "inline-block";
+      }
+
+      this.image = document.createElement("img");
+      this.image.style.display = "block";
+      this.image.style.maxWidth = "100%";
+
+      Object.keys(IMAGE_ATTRIBUTES).forEach((name) => {
+        this.copyImageAttribute(name);
+      });
+
+      this.appendChild(this.image);
+    }
+
+    /**
+     * Mirror one attribute of the element onto the inner <img>
+     * @param {string} name - Element attribute name
+     */
+    copyImageAttribute(name) {
+      const value = this.getAttribute(name);
+      const imageAttribute = IMAGE_ATTRIBUTES[name];
+
+      if (value === null) {
+        this.image.removeAttribute(imageAttribute);
+      } else {
+        this.image.setAttribute(imageAttribute, value);
+      }
+    }
+
+    /**
+     * Read options from the option attributes
+     * @returns {Object} Options set on the element
+     */
+    getOptions() {
+      const options = {};
+
+      Object.keys(OPTION_ATTRIBUTES).forEach((attribute) => {
+        if (this.hasAttribute(attribute)) {
+          options[OPTION_ATTRIBUTES[attribute]] = parseAttributeValue(
+            this.getAttribute(attribute)
+          );
+        }
+      });
+
+      return options;
+    }
+
+    /**
+     * Start zooming the inner <img>
+     */
+    createPinchZoom() {
+      this.pinchZoom = errorHandler.safeExecute(
+        () => new PinchZoom(this.image, this.getOptions()),
+        `creating <${tagName}>`,
+        null
+      );
+
+      if (this.pinchZoom) {
+        FORWARDED_EVENTS.forEach((type) => {
+          addEvent(this.image, type, this.boundForwardEvent);
+        });
+      }
+    }
+
+    /**
+     * Stop zooming and release listeners, styles and the overlay
+     */
+    destroyPinchZoom() {
+      if (!this.pinchZoom) {
+        return;
+      }
+
+      FORWARDED_EVENTS.forEach((type) => {
+        removeEvent(this.image, type, this.boundForwardEvent);
+      });
+
+      this.pinchZoom.destroy();
+      this.pinchZoom = null;
+    }
+
+    /**
+     * Re-dispatch a zoom event of the inner <img> from the element
+     * Cancelling the re-dispatched zoomstart still vetoes the gesture.
+     * @param {CustomEvent} event - Zoom event of the inner <img>
+     */
+    forwardEvent(event) {
+      event.stopPropagation();
+
+      const forwarded = createCustomEvent(
+        event.type,
+        event.detail,
+        event.cancelable
+      );
+
+      if (!this.dispatchEvent(forwarded)) {
+        event.preventDefault();
+      }
+    }
+  }
+
+  window.customElements.define(tagName, PinchZoomImage);
+  return PinchZoomImage;
+}
@@ -10,26 +10,94 @@ import {
   getTouchEventNames,
   getTouchSupport,
   normalizeEvent,
+  clamp,
 } from "./utils.js";
 import { errorHandler } from "./error-handler.js";
 
+/**
+ * Scale change per normalized wheel delta pixel
+ */
+const WHEEL_ZOOM_SPEED = 0.01;
+
+/**
+ * Pixel size of one wheel delta unit per deltaMode (pixel, line, page)
+ */
+const WHEEL_DELTA_MULTIPLIERS = [1, 16, 800];
+
+/**
+ * Velocity tracking window for pans
+ */
+const VELOCITY_SAMPLE_COUNT = 5; // most recent move events kept
+const VELOCITY_SAMPLE_WINDOW = 100; // ms of history used for release velocity
+
+/**
+ * Tap recognition thresholds
+ */
+const TAP_MAX_DURATION = 250; // ms a finger may stay down for a tap
+const TAP_MAX_MOVEMENT = 10; // px a finger may move during a tap
+const DOUBLE_TAP_MAX_DELAY = 300; // ms between the two taps
+const DOUBLE_TAP_MAX_DISTANCE = 30; // px between the two taps
+
+/**
+ * Descendants whose taps are left to the page in container mode
+ */
+const INTERACTIVE_SELECTOR =
+  "a[href], button, input, select, textarea, label, summary, [contenteditable], [tabindex]";
+
 export class TouchHandler {
-  constructor(element, callbacks = {}) {
+  constructor(element, callbacks = {}, options = {}) {
     this.element = element;
     this.callbacks = callbacks;
+    this.options = {
+      wheelZoom: options.wheelZoom !== false,
+      wheelSettleDelay:
+        options.wheelSettleDelay !== undefined ? options.wheelSettleDelay : 150,
+      minScale: options.minScale || 1,
+      maxScale: options.maxScale || 5,
+      interactiveChildren: !!options.interactiveChildren,
+    };
     this.isActive = false;
     this.initialDistance = 0;
     this.currentScale = 1;
+    this.startMidpoint = null;
     this.touches = [];
 
     // Get touch support information and event names
     this.touchSupport = getTouchSupport();
     this.eventNames = getTouchEventNames();
 
+    // Active pointers keyed by pointerId (Pointer Events path only)
+    this.usesPointerEvents =
+      this.eventNames.start === "pointerdown" ||
+      this.eventNames.start === "MSPointerDown";
+    this.activePointers = new Map();
+    this.originalTouchAction = null;
+
+    // Element forwarding its input here, e.g. the portal clone (see setProxy)
+    this.proxy = null;
+
+    // Single-finger pan state (only reported while pan capture is enabled)
+    this.panCapture = false;
+    this.isPanning = false;
+    this.panStartPoint = null;
+    this.velocitySamples = [];
+
+    // Single-contact tap state
+    this.tapStart = null;
+    this.lastTap = null;
+
+    // Wheel / trackpad pinch state
+    this.isWheelActive = false;
+    this.isWheelVetoed = false;
+    this.wheelScale = 1;
+    this.wheelStartScale = 1;
+    this.wheelSettleTimer = null;
+
     // Bound methods (needed for event listener removal)
     this.boundHandleTouchStart = this.handleTouchStart.bind(this);
     this.boundHandleTouchMove = this.handleTouchMove.bind(this);
     this.boundHandleTouchEnd = this.handleTouchEnd.bind(this);
+    this.boundHandleWheel = this.handleWheel.bind(this);
   }
 
   /**
@@ -38,33 +106,11 @@ export class TouchHandler {
   bindEvents() {
     return errorHandler.safeExecute(
       () => {
-        const options = { passive: false };
-
-        // Cross-browser event binding
-        addEvent(
-          this.element,
-          this.eventNames.start,
-          this.boundHandleTouchStart,
-          options
-        );
-        addEvent(
-          this.element,
-          this.eventNames.move,
-          this.boundHandleTouchMove,
-          options
-        );
-        addEvent(
-          this.element,
-          this.eventNames.end,
-          this.boundHandleTouchEnd,
-          options
-        );
-        addEvent(
-          this.element,
-          this.eventNames.cancel,
-          this.boundHandleTouchEnd,
-          options
-        );
+        this.addListeners(this.element);
+
+        // Keep browser panning but hand multi-pointer gestures to us
+        this.originalTouchAction = this.element.style.touchAction || "";
+        this.element.style.touchAction = this.getTouchAction();
 
         return true;
       },
@@ -79,33 +125,13 @@ export class TouchHandler {
   unbindEvents() {
     return errorHandler.safeExecute(
       () => {
-        const options = { passive: false };
-
-        // Cross-browser event removal
-        removeEvent(
-          this.element,
-          this.eventNames.start,
-          this.boundHandleTouchStart,
-          options
-        );
-        removeEvent(
-          this.element,
-          this.eventNames.move,
-          this.boundHandleTouchMove,
-          options
-        );
-        removeEvent(
-          this.element,
-          this.eventNames.end,
-          this.boundHandleTouchEnd,
-          options
-        );
-        removeEvent(
-          this.element,
-          this.eventNames.cancel,
-          this.boundHandleTouchEnd,
-          options
-        );
+        this.removeListeners(this.element);
+        this.cancelWheelGesture();
+
+        if (this.originalTouchAction !== null) {
+          this.element.style.touchAction = this.originalTouchAction;
+          this.originalTouchAction = null;
+        }
 
         return true;
       },
@@ -114,6 +140,83 @@ export class TouchHandler {
     );
   }
 
+  /**
+   * Listen for gesture events on an element
+   * @param {Element} target - The element itself or its proxy
+   */
+  addListeners(target) {
+    const options = { passive: false };
+
+    // Cross-browser event binding
+    addEvent(
+      target,
+      this.eventNames.start,
+      this.boundHandleTouchStart,
+      options
+    );
+    addEvent(target, this.eventNames.move, this.boundHandleTouchMove, options);
+    addEvent(target, this.eventNames.end, this.boundHandleTouchEnd, options);
+    addEvent(target, this.eventNames.cancel, this.boundHandleTouchEnd, options);
+
+    // Trackpad pinch arrives as ctrl+wheel on desktop
+    if (this.options.wheelZoom) {
+      addEvent(target, "wheel", this.boundHandleWheel, options);
+    }
+  }
+
+  /**
+   * Stop listening for gesture events on an element
+   * @param {Element} target - The element itself or its proxy
+   */
+  removeListeners(target) {
+    const options = { passive: false };
+
+    // Cross-browser event removal
+    removeEvent(
+      target,
+      this.eventNames.start,
+      this.boundHandleTouchStart,
+      options
+    );
+    removeEvent(
+      target,
+      this.eventNames.move,
+      this.boundHandleTouchMove,
+      options
+    );
+    removeEvent(target, this.eventNames.end, this.boundHandleTouchEnd, options);
+    removeEvent(
+      target,
+      this.eventNames.cancel,
+      this.boundHandleTouchEnd,
+      options
+    );
+    removeEvent(target, "wheel", this.boundHandleWheel, options);
+  }
+
+  /**
+   * Also take gestures from an element standing in for this one
+   * The portal clone covers the overlay where the zoomed image is seen, so
+   * input on it has to drive the same zoom as input on the original.
+   * @param {Element|null} proxy - Stand-in element, or null to stop listening
+   */
+  setProxy(proxy) {
+    if (proxy === this.proxy) {
+      return;
+    }
+
+    if (this.proxy) {
+      this.removeListeners(this.proxy);
+    }
+
+    this.proxy = proxy || null;
+
+    if (this.proxy) {
+      this.addListeners(this.proxy);
+      this.proxy.style.touchAction = this.getTouchAction();
+    }
+  }
+
   /**
    * Handle touch start event (cross-browser support)
    * @param {TouchEvent|PointerEvent|MouseEvent} event - Touch/pointer/mouse event
@@ -122,11 +225,34 @@ export class TouchHandler {
     event = normalizeEvent(event);
     if (!event) return;
 
+    this.trackPointer(event);
     const touches = this.extractTouches(event);
 
-    if (touches.length === 2) {
+    if (touches.length === 1 && !this.isActive) {
+      // Possible tap - confirmed on release
+      this.tapStart = {
+        x: touches[0].clientX,
+        y: touches[0].clientY,
+        time: Date.now(),
+      };
+
+      if (this.panCapture) {
+        this.startPan(touches[0]);
+      }
+    } else if (touches.length === 2) {
       event.preventDefault();
 
+      // A second finger turns the tap or pan into a pinch
+      this.capturePointers();
+      this.tapStart = null;
+      this.lastTap = null;
+      this.endPan();
+
+      // Fingers on the screen take over from a settling trackpad pinch
+      if (this.isWheelActive) {
+        this.endWheelGesture();
+      }
+
       const touch1 = touches[0];
       const touch2 = touches[1];
 
@@ -135,14 +261,21 @@ export class TouchHandler {
       this.touches = touches;
 
       const midpoint = getMidpoint(touch1, touch2);
+      this.startMidpoint = midpoint;
 
-      // Execute callback
-      if (this.callbacks.onTouchStart) {
+      // Execute callback (returning false vetoes the gesture)
+      if (
+        this.callbacks.onTouchStart &&
         this.callbacks.onTouchStart({
           initialDistance: this.initialDistance,
           midpoint,
           touches: this.touches,
-        });
+        }) === false
+      ) {
+        this.isActive = false;
+        this.initialDistance = 0;
+        this.startMidpoint = null;
+        this.touches = [];
       }
     }
   }
@@ -155,8 +288,35 @@ export class TouchHandler {
     event = normalizeEvent(event);
     if (!event) return;
 
+    this.trackPointer(event);
     const touches = this.extractTouches(event);
 
+    // Too much movement means a drag, not a tap
+    if (touches.length === 1 && this.tapStart) {
+      const movement = Math.hypot(
+        touches[0].clientX - this.tapStart.x,
+        touches[0].clientY - this.tapStart.y
+      );
+      if (movement > TAP_MAX_MOVEMENT) {
+        this.tapStart = null;
+      }
+    }
+
+    if (touches.length === 1 && this.isPanning) {
+      event.preventDefault();
+
+      const point = { x: touches[0].clientX, y: touches[0].clientY };
+      this.recordVelocitySample(point);
+
+      if (this.callbacks.onPanMove) {
+        this.callbacks.onPanMove({
+          point,
+          deltaX: point.x - this.panStartPoint.x,
+          deltaY: point.y - this.panStartPoint.y,
+        });
+      }
+    }
+
     if (touches.length === 2 && this.isActive) {
       event.preventDefault();
 
@@ -169,6 +329,10 @@ export class TouchHandler {
       const scaleFactor = currentDistance / this.initialDistance;
       this.currentScale = scaleFactor;
 
+      // Midpoint drift since the pinch started (two-finger pan)
+      const panX = midpoint.x - this.startMidpoint.x;
+      const panY = midpoint.y - this.startMidpoint.y;
+
       this.touches = touches;
 
       // Execute callback
@@ -177,6 +341,8 @@ export class TouchHandler {
           scaleFactor,
           currentScale: this.currentScale,
           midpoint,
+          panX,
+          panY,
           touches: this.touches,
           initialDistance: this.initialDistance,
           currentDistance,
@@ -193,6 +359,7 @@ export class TouchHandler {
     event = normalizeEvent(event);
     if (!event) return;
 
+    this.trackPointer(event);
     const touches = this.extractTouches(event);
 
     if (touches.length === 0 && this.isActive) {
@@ -201,15 +368,389 @@ export class TouchHandler {
       this.isActive = false;
       this.initialDistance = 0;
       this.currentScale = 1;
+      this.startMidpoint = null;
       this.touches = [];
 
       // Execute callback
       if (this.callbacks.onTouchEnd) {
         this.callbacks.onTouchEnd();
       }
+    } else if (touches.length === 0) {
+      this.endPan();
+
+      if (this.tapStart) {
+        this.handleTap(event);
+      }
+    }
+  }
+
+  /**
+   * Start a single-finger pan
+   * @param {Touch|Object} touch - Touch point that started the pan
+   */
+  startPan(touch) {
+    this.isPanning = true;
+    this.panStartPoint = { x: touch.clientX, y: touch.clientY };
+    this.velocitySamples = [];
+    this.recordVelocitySample(this.panStartPoint);
+
+    if (this.callbacks.onPanStart) {
+      this.callbacks.onPanStart({ point: { ...this.panStartPoint } });
     }
   }
 
+  /**
+   * Finish the single-finger pan in progress, if any
+   */
+  endPan() {
+    if (!this.isPanning) {
+      return;
+    }
+
+    const velocity = this.getVelocity();
+    this.isPanning = false;
+    this.panStartPoint = null;
+    this.velocitySamples = [];
+
+    if (this.callbacks.onPanEnd) {
+      this.callbacks.onPanEnd({ velocity });
+    }
+  }
+
+  /**
+   * Remember a pan position for velocity calculation
+   * @param {Object} point - Pointer position {x, y}
+   */
+  recordVelocitySample(point) {
+    this.velocitySamples.push({ x: point.x, y: point.y, time: Date.now() });
+
+    if (this.velocitySamples.length > VELOCITY_SAMPLE_COUNT) {
+      this.velocitySamples.shift();
+    }
+  }
+
+  /**
+   * Calculate pointer velocity over the last few move events
+   * @returns {Object} Velocity in px/ms {x, y}
+   */
+  getVelocity() {
+    const now = Date.now();
+    const samples = this.velocitySamples.filter(
+      (sample) => now - sample.time <= VELOCITY_SAMPLE_WINDOW
+    );
+
+    if (samples.length < 2) {
+      return { x: 0, y: 0 };
+    }
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const elapsed = last.time - first.time;
+
+    if (elapsed <= 0) {
+      return { x: 0, y: 0 };
+    }
+
+    return {
+      x: (last.x - first.x) / elapsed,
+      y: (last.y - first.y) / elapsed,
+    };
+  }
+
+  /**
+   * Enable or disable single-finger panning
+   * While enabled the element claims every touch, so the page does not scroll.
+   * @param {boolean} enabled - Whether single-finger pans are reported
+   */
+  setPanCapture(enabled) {
+    this.panCapture = !!enabled;
+
+    if (!this.panCapture) {
+      this.endPan();
+    }
+
+    if (this.originalTouchAction !== null) {
+      this.element.style.touchAction = this.getTouchAction();
+    }
+
+    if (this.proxy) {
+      this.proxy.style.touchAction = this.getTouchAction();
+    }
+  }
+
+  /**
+   * Return the touch-action the element needs in its current state
+   * @returns {string} CSS touch-action value
+   */
+  getTouchAction() {
+    if (this.panCapture) {
+      return "none";
+    }
+
+    return this.usesPointerEvents
+      ? "pan-x pan-y"
+      : this.originalTouchAction || "";
+  }
+
+  /**
+   * Recognize a completed single-contact tap and detect double taps
+   * @param {Event} event - Event that ended the tap
+   */
+  handleTap(event) {
+    const tapStart = this.tapStart;
+    const now = Date.now();
+    this.tapStart = null;
+
+    if (now - tapStart.time > TAP_MAX_DURATION) {
+      this.lastTap = null;
+      return;
+    }
+
+    // Taps on links and buttons inside a container belong to them
+    if (this.isInteractiveTarget(event.target)) {
+      this.lastTap = null;
+      return;
+    }
+
+    const point = { x: tapStart.x, y: tapStart.y };
+    const lastTap = this.lastTap;
+
+    if (
+      lastTap &&
+      now - lastTap.time <= DOUBLE_TAP_MAX_DELAY &&
+      Math.hypot(point.x - lastTap.x, point.y - lastTap.y) <=
+        DOUBLE_TAP_MAX_DISTANCE
+    ) {
+      // Suppress the browser's own double-tap zoom and synthetic clicks
+      event.preventDefault();
+      this.lastTap = null;
+
+      if (this.callbacks.onDoubleTap) {
+        this.callbacks.onDoubleTap({ point });
+      }
+      return;
+    }
+
+    this.lastTap = { x: point.x, y: point.y, time: now };
+  }
+
+  /**
+   * Handle wheel event - ctrl+wheel is treated as a continuous pinch
+   * @param {WheelEvent} event - Wheel event
+   */
+  handleWheel(event) {
+    event = normalizeEvent(event);
+    if (!event || !event.ctrlKey) return;
+
+    // A touch pinch in progress takes precedence
+    if (this.isActive && !this.isWheelActive) return;
+
+    // A vetoed trackpad pinch is left to the browser until it settles
+    if (this.isWheelVetoed) {
+      this.scheduleWheelSettle();
+      return;
+    }
+
+    const point = { x: event.clientX, y: event.clientY };
+
+    if (!this.isWheelActive) {
+      this.isWheelActive = true;
+      this.isActive = true;
+      this.wheelScale = 1;
+      this.startMidpoint = point;
+
+      // The factor is relative to the scale the element rests at, e.g. a persisted zoom
+      this.wheelStartScale =
+        (this.callbacks.getScale && this.callbacks.getScale()) || 1;
+
+      // Execute callback (returning false vetoes the gesture)
+      if (
+        this.callbacks.onTouchStart &&
+        this.callbacks.onTouchStart({
+          initialDistance: 0,
+          midpoint: point,
+          touches: [],
+        }) === false
+      ) {
+        this.isWheelActive = false;
+        this.isActive = false;
+        this.startMidpoint = null;
+        this.isWheelVetoed = true;
+        this.scheduleWheelSettle();
+        return;
+      }
+    }
+
+    event.preventDefault();
+
+    const delta =
+      event.deltaY * (WHEEL_DELTA_MULTIPLIERS[event.deltaMode] || 1);
+
+    // Keep the resulting scale within limits so reversing responds immediately
+    this.wheelScale = clamp(
+      this.wheelScale * Math.exp(-delta * WHEEL_ZOOM_SPEED),
+      this.options.minScale / this.wheelStartScale,
+      this.options.maxScale / this.wheelStartScale
+    );
+    this.currentScale = this.wheelScale;
+
+    if (this.callbacks.onTouchMove) {
+      this.callbacks.onTouchMove({
+        scaleFactor: this.wheelScale,
+        currentScale: this.currentScale,
+        midpoint: this.startMidpoint,
+        panX: 0,
+        panY: 0,
+        touches: [],
+        initialDistance: 0,
+        currentDistance: 0,
+      });
+    }
+
+    this.scheduleWheelSettle();
+  }
+
+  /**
+   * Restart the quiet period that ends a wheel gesture
+   * Wheel has no end event, so a quiet period stands in for touch end.
+   */
+  scheduleWheelSettle() {
+    clearTimeout(this.wheelSettleTimer);
+    this.wheelSettleTimer = setTimeout(
+      () => this.endWheelGesture(),
+      this.options.wheelSettleDelay
+    );
+  }
+
+  /**
+   * Finish the wheel gesture once wheel events have settled
+   */
+  endWheelGesture() {
+    if (this.isWheelVetoed) {
+      this.cancelWheelGesture();
+      return;
+    }
+
+    if (!this.isWheelActive) {
+      return;
+    }
+
+    this.cancelWheelGesture();
+    this.isActive = false;
+    this.currentScale = 1;
+    this.startMidpoint = null;
+
+    if (this.callbacks.onTouchEnd) {
+      this.callbacks.onTouchEnd();
+    }
+  }
+
+  /**
+   * Clear wheel gesture state without notifying callbacks
+   */
+  cancelWheelGesture() {
+    clearTimeout(this.wheelSettleTimer);
+    this.wheelSettleTimer = null;
+    this.isWheelActive = false;
+    this.isWheelVetoed = false;
+    this.wheelScale = 1;
+  }
+
+  /**
+   * Keep receiving moves of a pointer even when it leaves the element
+   * @param {number} pointerId - Pointer to capture
+   */
+  capturePointer(pointerId) {
+    if (typeof this.element.setPointerCapture === "function") {
+      errorHandler.safeExecute(
+        () => this.element.setPointerCapture(pointerId),
+        "capturing pointer"
+      );
+    }
+  }
+
+  /**
+   * Capture every pressed pointer once a gesture begins
+   */
+  capturePointers() {
+    if (!this.usesPointerEvents) {
+      return;
+    }
+
+    this.activePointers.forEach((contact, pointerId) =>
+      this.capturePointer(pointerId)
+    );
+  }
+
+  /**
+   * Check if an event target is a link, button or form control inside the element
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} Whether the tap should be left to the target
+   */
+  isInteractiveTarget(target) {
+    if (!this.options.interactiveChildren || !target || !target.closest) {
+      return false;
+    }
+
+    const interactive = target.closest(INTERACTIVE_SELECTOR);
+    return (
+      !!interactive &&
+      [this.element, this.proxy].some(
+        (root) => root && interactive !== root && root.contains(interactive)
+      )
+    );
+  }
+
+  /**
+   * Update the pointer registry from a pointer event
+   * @param {PointerEvent} event - Pointer event
+   */
+  trackPointer(event) {
+    if (!this.usesPointerEvents || event.pointerId === undefined) {
+      return;
+    }
+
+    switch (event.type) {
+      case this.eventNames.start:
+        this.activePointers.set(event.pointerId, this.toContact(event));
+
+        // Capturing retargets the click, so interactive children wait for a gesture
+        if (!this.options.interactiveChildren || this.panCapture) {
+          this.capturePointer(event.pointerId);
+        }
+        break;
+
+      case this.eventNames.move:
+        // Ignore hover moves of pointers that are not pressed
+        if (this.activePointers.has(event.pointerId)) {
+          this.activePointers.set(event.pointerId, this.toContact(event));
+        }
+        break;
+
+      case this.eventNames.end:
+      case this.eventNames.cancel:
+        this.activePointers.delete(event.pointerId);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Snapshot the coordinates of a pointer event as a touch-like contact
+   * @param {PointerEvent} event - Pointer event
+   * @returns {Object} Contact {identifier, clientX, clientY, pointerType}
+   */
+  toContact(event) {
+    return {
+      identifier: event.pointerId,
+      clientX: event.clientX,
+      clientY: event.clientY,
+      pointerType: event.pointerType,
+    };
+  }
+
   /**
    * Extract touch points from event (cross-browser support)
    * @param {TouchEvent|PointerEvent|MouseEvent} event - Event object
@@ -220,11 +761,35 @@ export class TouchHandler {
       // Touch events
       return Array.from(event.touches);
     } else if (event.pointerType !== undefined) {
-      // Pointer events - currently only single pointer supported
-      return event.isPrimary ? [event] : [];
+      // Pointer events - every pointer currently pressed
+      return Array.from(this.activePointers.values());
     } else {
       // Mouse events - fallback with single point support only
-      return [event];
+      const isRelease =
+        event.type === this.eventNames.end ||
+        event.type === this.eventNames.cancel;
+      return isRelease ? [] : [event];
+    }
+  }
+
+  /**
+   * Update options
+   * @param {Object} newOptions - New options
+   */
+  updateOptions(newOptions) {
+    const wasWheelZoom = this.options.wheelZoom;
+    this.options = { ...this.options, ...newOptions };
+
+    // Rebind when wheel zoom is toggled
+    if (
+      newOptions.wheelZoom !== undefined &&
+      newOptions.wheelZoom !== wasWheelZoom
+    ) {
+      const proxy = this.proxy;
+      this.setProxy(null);
+      this.unbindEvents();
+      this.bindEvents();
+      this.setProxy(proxy);
     }
   }
 
@@ -237,7 +802,12 @@ export class TouchHandler {
       isActive: this.isActive,
       initialDistance: this.initialDistance,
       currentScale: this.currentScale,
+      startMidpoint: this.startMidpoint,
       touches: [...this.touches],
+      activePointers: this.activePointers.size,
+      isWheelActive: this.isWheelActive,
+      isPanning: this.isPanning,
+      panCapture: this.panCapture,
       touchSupport: this.touchSupport,
       eventNames: this.eventNames,
     };
@@ -247,9 +817,15 @@ export class TouchHandler {
    * Clean up TouchHandler
    */
   destroy() {
+    this.setProxy(null);
     this.unbindEvents();
     this.isActive = false;
     this.touches = [];
+    this.activePointers.clear();
+    this.tapStart = null;
+    this.lastTap = null;
+    this.isPanning = false;
+    this.panCapture = false;
     this.callbacks = {};
   }
 }
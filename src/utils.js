@@ -2,6 +2,14 @@
  * Utility functions - Helper functions for DOM manipulation and calculations
  */
 
+import { parseColor } from "./color.js";
+import { getAdapter } from "./adapters.js";
+
+/**
+ * Highest accepted maxScale; scales above 10 are meant for deep zoom tiles
+ */
+const MAX_SCALE_LIMIT = 1000;
+
 /**
  * Calculate distance between two touch points
  * @param {Touch} touch1 - First touch point
@@ -123,6 +131,24 @@ export function normalizeEvent(event) {
   return event;
 }
 
+/**
+ * Create a CustomEvent (cross-browser support)
+ * @param {string} type - Event type
+ * @param {Object} detail - Event detail
+ * @param {boolean} cancelable - Whether preventDefault() is honored
+ * @returns {CustomEvent} Event object
+ */
+export function createCustomEvent(type, detail, cancelable = false) {
+  if (typeof CustomEvent === "function") {
+    return new CustomEvent(type, { detail, bubbles: true, cancelable });
+  }
+
+  // IE fallback
+  const event = document.createEvent("CustomEvent");
+  event.initCustomEvent(type, true, cancelable, detail);
+  return event;
+}
+
 /**
  * Check if element is an image
  * @param {Element} element - Element to check
@@ -159,6 +185,28 @@ export function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
 
+/**
+ * Let a value stretch past its limits with logarithmic resistance
+ * @param {number} value - Value to limit
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @param {number} resistance - 0 (no resistance) to 1 (hard limit)
+ * @returns {number} Value stretched past the limits
+ */
+export function rubberBand(value, min, max, resistance) {
+  const elasticity = 1 - clamp(resistance, 0, 1);
+
+  if (value > max) {
+    return max * (1 + elasticity * Math.log(value / max));
+  }
+
+  if (value < min) {
+    return min / (1 + elasticity * Math.log(min / value));
+  }
+
+  return value;
+}
+
 /**
  * Check CSS transform support and return supported property
  * @returns {Object} CSS transform support info {supported, property, prefixed}
@@ -190,6 +238,34 @@ export function getTransformSupport() {
   };
 }
 
+/**
+ * Check CSS backdrop-filter support and return supported property
+ * @returns {Object} Backdrop filter support info {supported, property, prefixed}
+ */
+export function getBackdropFilterSupport() {
+  const testElement = document.createElement("div");
+  const filterProperties = [
+    { name: "backdropFilter", prefixed: false },
+    { name: "webkitBackdropFilter", prefixed: true },
+  ];
+
+  for (const prop of filterProperties) {
+    if (testElement.style[prop.name] !== undefined) {
+      return {
+        supported: true,
+        property: prop.name,
+        prefixed: prop.prefixed,
+      };
+    }
+  }
+
+  return {
+    supported: false,
+    property: null,
+    prefixed: false,
+  };
+}
+
 /**
  * Check CSS transform support (backward compatibility)
  * @returns {boolean} Whether CSS transforms are supported
@@ -225,6 +301,46 @@ export function applyTransform(element, transformValue) {
   }
 }
 
+/**
+ * Apply cross-browser CSS transform-origin
+ * @param {Element} element - Element to apply transform-origin to
+ * @param {string} originValue - Transform origin value (e.g., "0 0")
+ */
+export function applyTransformOrigin(element, originValue) {
+  const originProperties = [
+    "transformOrigin",
+    "webkitTransformOrigin",
+    "mozTransformOrigin",
+    "msTransformOrigin",
+    "oTransformOrigin",
+  ];
+
+  originProperties.forEach((property) => {
+    if (element.style[property] !== undefined) {
+      element.style[property] = originValue;
+    }
+  });
+}
+
+/**
+ * Return current document scroll position (cross-browser support)
+ * @returns {Object} Scroll position {x, y}
+ */
+export function getScrollPosition() {
+  const docElement = document.documentElement || {};
+
+  return {
+    x:
+      window.pageXOffset !== undefined
+        ? window.pageXOffset
+        : docElement.scrollLeft || 0,
+    y:
+      window.pageYOffset !== undefined
+        ? window.pageYOffset
+        : docElement.scrollTop || 0,
+  };
+}
+
 /**
  * Apply cross-browser CSS transition
  * @param {Element} element - Element to apply transition to
@@ -399,24 +515,23 @@ export function validateAndSanitizeOptions(options, defaults) {
 
   // Validate backgroundColor
   if (options.backgroundColor !== undefined) {
-    if (
-      typeof options.backgroundColor === "string" &&
-      options.backgroundColor.trim() !== ""
-    ) {
+    if (parseColor(options.backgroundColor)) {
       sanitized.backgroundColor = options.backgroundColor;
     } else {
-      errors.push(`Invalid backgroundColor: ${options.backgroundColor}`);
+      errors.push(
+        `Invalid backgroundColor: ${options.backgroundColor}. Must be a CSS color such as "black", "#0008", "rgb(0 0 0 / 80%)" or "hsl(0 0% 0% / 0.8)"`
+      );
     }
   }
 
   // Validate maxScale
   if (options.maxScale !== undefined) {
     const maxScale = Number(options.maxScale);
-    if (!isNaN(maxScale) && maxScale > 1 && maxScale <= 10) {
+    if (!isNaN(maxScale) && maxScale > 1 && maxScale <= MAX_SCALE_LIMIT) {
       sanitized.maxScale = maxScale;
     } else {
       errors.push(
-        `Invalid maxScale: ${options.maxScale}. Must be between 1 and 10`
+        `Invalid maxScale: ${options.maxScale}. Must be between 1 and ${MAX_SCALE_LIMIT}`
       );
     }
   }
@@ -457,6 +572,228 @@ export function validateAndSanitizeOptions(options, defaults) {
     }
   }
 
+  // Validate wheelZoom
+  if (options.wheelZoom !== undefined) {
+    if (typeof options.wheelZoom === "boolean") {
+      sanitized.wheelZoom = options.wheelZoom;
+    } else {
+      errors.push(`Invalid wheelZoom: ${options.wheelZoom}. Must be a boolean`);
+    }
+  }
+
+  // Validate wheelSettleDelay
+  if (options.wheelSettleDelay !== undefined) {
+    const wheelSettleDelay = Number(options.wheelSettleDelay);
+    if (!isNaN(wheelSettleDelay) && wheelSettleDelay >= 0) {
+      sanitized.wheelSettleDelay = wheelSettleDelay;
+    } else {
+      errors.push(
+        `Invalid wheelSettleDelay: ${options.wheelSettleDelay}. Must be a non-negative number of milliseconds`
+      );
+    }
+  }
+
+  // Validate doubleTapScale
+  if (options.doubleTapScale !== undefined) {
+    const doubleTapScale = Number(options.doubleTapScale);
+    if (!isNaN(doubleTapScale) && doubleTapScale > 1 && doubleTapScale <= 10) {
+      sanitized.doubleTapScale = doubleTapScale;
+    } else {
+      errors.push(
+        `Invalid doubleTapScale: ${options.doubleTapScale}. Must be between 1 and 10`
+      );
+    }
+  }
+
+  // Validate releaseBehavior
+  if (options.releaseBehavior !== undefined) {
+    if (["reset", "persist"].includes(options.releaseBehavior)) {
+      sanitized.releaseBehavior = options.releaseBehavior;
+    } else {
+      errors.push(
+        `Invalid releaseBehavior: ${options.releaseBehavior}. Must be "reset" or "persist"`
+      );
+    }
+  }
+
+  // Validate mode
+  if (options.mode !== undefined) {
+    if (["inline", "portal"].includes(options.mode)) {
+      sanitized.mode = options.mode;
+    } else {
+      errors.push(
+        `Invalid mode: ${options.mode}. Must be "inline" or "portal"`
+      );
+    }
+  }
+
+  // Validate scaleCurve
+  if (options.scaleCurve !== undefined) {
+    if (
+      typeof options.scaleCurve === "function" ||
+      ["linear", "easeOut", "exponential"].includes(options.scaleCurve)
+    ) {
+      sanitized.scaleCurve = options.scaleCurve;
+    } else {
+      errors.push(
+        `Invalid scaleCurve: ${options.scaleCurve}. Must be "linear", "easeOut", "exponential" or a function`
+      );
+    }
+  }
+
+  // Validate opacityCurve
+  if (options.opacityCurve !== undefined) {
+    if (
+      typeof options.opacityCurve === "function" ||
+      ["linear", "easeIn", "easeOut", "easeInOut"].includes(
+        options.opacityCurve
+      )
+    ) {
+      sanitized.opacityCurve = options.opacityCurve;
+    } else {
+      errors.push(
+        `Invalid opacityCurve: ${options.opacityCurve}. Must be "linear", "easeIn", "easeOut", "easeInOut" or a function`
+      );
+    }
+  }
+
+  // Validate overlayUI
+  if (options.overlayUI !== undefined) {
+    const { overlayUI } = options;
+    const isValidConfig =
+      typeof overlayUI === "boolean" ||
+      (overlayUI !== null &&
+        typeof overlayUI === "object" &&
+        Object.keys(overlayUI).every(
+          (key) =>
+            ["hud", "closeButton", "toolbar", "caption"].includes(key) &&
+            ["boolean", "function"].includes(typeof overlayUI[key])
+        ));
+
+    if (isValidConfig) {
+      sanitized.overlayUI = overlayUI;
+    } else {
+      errors.push(
+        "Invalid overlayUI: must be a boolean or an object of hud, closeButton, toolbar and caption set to booleans or render functions"
+      );
+    }
+  }
+
+  // Validate contentMode
+  if (options.contentMode !== undefined) {
+    if (["image", "container"].includes(options.contentMode)) {
+      sanitized.contentMode = options.contentMode;
+    } else {
+      errors.push(
+        `Invalid contentMode: ${options.contentMode}. Must be "image" or "container"`
+      );
+    }
+  }
+
+  // Validate overlayStyle
+  if (options.overlayStyle !== undefined) {
+    if (["color", "blur", "tint"].includes(options.overlayStyle)) {
+      sanitized.overlayStyle = options.overlayStyle;
+    } else {
+      errors.push(
+        `Invalid overlayStyle: ${options.overlayStyle}. Must be "color", "blur" or "tint"`
+      );
+    }
+  }
+
+  // Validate blurRadius
+  if (options.blurRadius !== undefined) {
+    const blurRadius = Number(options.blurRadius);
+    if (!isNaN(blurRadius) && blurRadius >= 0 && blurRadius <= 100) {
+      sanitized.blurRadius = blurRadius;
+    } else {
+      errors.push(
+        `Invalid blurRadius: ${options.blurRadius}. Must be between 0 and 100`
+      );
+    }
+  }
+
+  // Validate hiresThreshold
+  if (options.hiresThreshold !== undefined) {
+    const hiresThreshold = Number(options.hiresThreshold);
+    if (
+      options.hiresThreshold === false ||
+      (!isNaN(hiresThreshold) && hiresThreshold >= 1 && hiresThreshold <= 100)
+    ) {
+      sanitized.hiresThreshold =
+        options.hiresThreshold === false ? false : hiresThreshold;
+    } else {
+      errors.push(
+        `Invalid hiresThreshold: ${options.hiresThreshold}. Must be a scale of 1 or more, or false to disable`
+      );
+    }
+  }
+
+  // Validate observe
+  if (options.observe !== undefined) {
+    if (typeof options.observe === "boolean") {
+      sanitized.observe = options.observe;
+    } else {
+      errors.push(`Invalid observe: ${options.observe}. Must be a boolean`);
+    }
+  }
+
+  // Validate observeRoot
+  if (options.observeRoot !== undefined) {
+    if (
+      options.observeRoot === null ||
+      options.observeRoot instanceof Element ||
+      (typeof options.observeRoot === "string" &&
+        validateTarget(options.observeRoot).isValid)
+    ) {
+      sanitized.observeRoot = options.observeRoot;
+    } else {
+      errors.push(
+        `Invalid observeRoot: ${options.observeRoot}. Must be an element, a CSS selector or null for document.body`
+      );
+    }
+  }
+
+  // Validate momentumDecay
+  if (options.momentumDecay !== undefined) {
+    const momentumDecay = Number(options.momentumDecay);
+    if (!isNaN(momentumDecay) && momentumDecay > 0 && momentumDecay < 1) {
+      sanitized.momentumDecay = momentumDecay;
+    } else {
+      errors.push(
+        `Invalid momentumDecay: ${options.momentumDecay}. Must be between 0 and 1 (exclusive)`
+      );
+    }
+  }
+
+  // Validate momentumMinVelocity
+  if (options.momentumMinVelocity !== undefined) {
+    const momentumMinVelocity = Number(options.momentumMinVelocity);
+    if (!isNaN(momentumMinVelocity) && momentumMinVelocity > 0) {
+      sanitized.momentumMinVelocity = momentumMinVelocity;
+    } else {
+      errors.push(
+        `Invalid momentumMinVelocity: ${options.momentumMinVelocity}. Must be a positive number (px/ms)`
+      );
+    }
+  }
+
+  // Validate overscaleResistance
+  if (options.overscaleResistance !== undefined) {
+    const overscaleResistance = Number(options.overscaleResistance);
+    if (
+      !isNaN(overscaleResistance) &&
+      overscaleResistance >= 0 &&
+      overscaleResistance <= 1
+    ) {
+      sanitized.overscaleResistance = overscaleResistance;
+    } else {
+      errors.push(
+        `Invalid overscaleResistance: ${options.overscaleResistance}. Must be between 0 and 1`
+      );
+    }
+  }
+
   // Handle case where minScale is greater than maxScale
   if (sanitized.minScale >= sanitized.maxScale) {
     errors.push(
@@ -469,11 +806,13 @@ export function validateAndSanitizeOptions(options, defaults) {
 }
 
 /**
- * Check if element can be used as image (img tag or element with background-image)
+ * Check if element can be zoomed (img tag, element with background-image and other
+ * supported content, or any element in container mode)
  * @param {Element} element - Element to check
+ * @param {string} contentMode - "image" or "container"
  * @returns {Object} Validation result {isValid, type, warning}
  */
-export function validateImageElement(element) {
+export function validateImageElement(element, contentMode = "image") {
   if (!element || !element.tagName) {
     return {
       isValid: false,
@@ -484,35 +823,89 @@ export function validateImageElement(element) {
 
   const tagName = element.tagName.toLowerCase();
 
-  // If img tag
-  if (tagName === "img") {
+  // img tags, background-image elements and other supported content
+  const adapter = getAdapter(element, contentMode);
+  if (adapter) {
     return {
       isValid: true,
-      type: "img",
+      type: adapter.type,
       warning: null,
     };
   }
 
-  // If element with background-image
-  const computedStyle = window.getComputedStyle(element);
-  const backgroundImage = computedStyle.backgroundImage;
-
-  if (backgroundImage && backgroundImage !== "none") {
-    return {
-      isValid: true,
-      type: "background",
-      warning:
-        "Using background-image element. Some features may not work as expected.",
-    };
-  }
-
   return {
     isValid: false,
     type: tagName,
-    warning: `Element '${tagName}' is not an image. PinchZoom is designed for image elements.`,
+    warning: `Element '${tagName}' is not supported. PinchZoom works with img, picture, video, canvas, svg and background-image elements.`,
   };
 }
 
+/**
+ * data-pinch-* attributes that don't map to their option by camel casing
+ */
+const DATA_OPTION_ALIASES = {
+  background: "backgroundColor",
+  overlayUi: "overlayUI",
+};
+
+/**
+ * Convert an option attribute value to an option value
+ * @param {string} value - Attribute value
+ * @returns {any} Boolean, number, parsed JSON or the string itself
+ */
+export function parseAttributeValue(value) {
+  const trimmed = value.trim();
+
+  // A bare attribute such as data-pinch-wheel-zoom turns the option on
+  if (trimmed === "" || trimmed === "true") {
+    return true;
+  }
+
+  if (trimmed === "false") {
+    return false;
+  }
+
+  if (/^-?(\d+\.?\d*|\.\d+)$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+
+  if (trimmed.charAt(0) === "{" || trimmed.charAt(0) === "[") {
+    try {
+      return JSON.parse(trimmed);
+    } catch (e) {
+      // Left as a string for validation to report
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Read per-element options from data-pinch-* attributes
+ * e.g. data-pinch-max-scale="4" becomes { maxScale: 4 } and
+ * data-pinch-background="#000" becomes { backgroundColor: "#000" }.
+ * @param {Element} element - Element to read
+ * @returns {Object} Options found on the element
+ */
+export function getDataOptions(element) {
+  const options = {};
+  const dataset = (element && element.dataset) || {};
+
+  Object.keys(dataset).forEach((key) => {
+    // data-pinch-zoom marks the element and data-pinch-zoom-* belong to the UI
+    if (!/^pinch[A-Z]/.test(key) || /^pinchZoom/.test(key)) {
+      return;
+    }
+
+    const name = key.charAt(5).toLowerCase() + key.slice(6);
+    options[DATA_OPTION_ALIASES[name] || name] = parseAttributeValue(
+      dataset[key]
+    );
+  });
+
+  return options;
+}
+
 /**
  * Check if DOM environment is ready
  * @returns {boolean} DOM ready state
@@ -550,10 +943,12 @@ export function isElementInViewport(element) {
 export function getBrowserCompatibility() {
   const transformSupport = getTransformSupport();
   const touchSupport = getTouchSupport();
+  const backdropFilterSupport = getBackdropFilterSupport();
 
   return {
     transform: transformSupport,
     touch: touchSupport,
+    backdropFilter: backdropFilterSupport,
     requestAnimationFrame: typeof requestAnimationFrame !== "undefined",
     addEventListener: typeof document.addEventListener !== "undefined",
     querySelector: typeof document.querySelector !== "undefined",
@@ -563,7 +958,8 @@ export function getBrowserCompatibility() {
     platform: navigator.platform,
     recommendations: generateCompatibilityRecommendations(
       transformSupport,
-      touchSupport
+      touchSupport,
+      backdropFilterSupport
     ),
   };
 }
@@ -572,9 +968,14 @@ export function getBrowserCompatibility() {
  * Generate compatibility-based recommendations
  * @param {Object} transformSupport - Transform support information
  * @param {Object} touchSupport - Touch support information
+ * @param {Object} backdropFilterSupport - Backdrop filter support information
  * @returns {Array} Array of recommendations
  */
-function generateCompatibilityRecommendations(transformSupport, touchSupport) {
+function generateCompatibilityRecommendations(
+  transformSupport,
+  touchSupport,
+  backdropFilterSupport
+) {
   const recommendations = [];
 
   if (!transformSupport.supported) {
@@ -601,9 +1002,37 @@ function generateCompatibilityRecommendations(transformSupport, touchSupport) {
     recommendations.push("Using MS Pointer Events for IE compatibility.");
   }
 
+  if (!backdropFilterSupport.supported) {
+    recommendations.push(
+      "CSS backdrop-filter not supported. Blur overlays fall back to a solid color."
+    );
+  }
+
   return recommendations;
 }
 
+/**
+ * Load and decode an image off-screen
+ * @param {string} url - Image URL
+ * @returns {Promise<HTMLImageElement>} Resolves with the decoded image, rejects when it fails to load
+ */
+export function loadDecodedImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+
+    image.onload = () => {
+      // decode() keeps the first paint after the swap from blocking on decoding
+      const decoding = image.decode ? image.decode() : Promise.resolve();
+      decoding.then(
+        () => resolve(image),
+        () => resolve(image)
+      );
+    };
+    image.onerror = () => reject(new Error(`Failed to load image: ${url}`));
+    image.src = url;
+  });
+}
+
 /**
  * Safe requestAnimationFrame execution (with fallback)
  * @param {Function} callback - Callback function to execute
@@ -643,6 +1072,25 @@ export function safeCancelAnimationFrame(id) {
   }
 }
 
+/**
+ * Convert a CSS time value to milliseconds
+ * @param {string|number} duration - CSS time (e.g., "0.3s", "300ms") or milliseconds
+ * @returns {number} Duration in milliseconds
+ */
+export function parseDuration(duration) {
+  if (typeof duration === "number") {
+    return duration;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)(s|ms)$/.exec(String(duration).trim());
+  if (!match) {
+    return 300;
+  }
+
+  const value = parseFloat(match[1]);
+  return match[2] === "s" ? value * 1000 : value;
+}
+
 /**
  * Return browser-specific CSS property name
  * @param {string} property - Standard CSS property name
@@ -4,19 +4,55 @@
 
 import {
   clamp,
+  rubberBand,
   getTransformSupport,
   applyTransform,
+  applyTransformOrigin,
   applyTransition,
+  getScrollPosition,
+  addEvent,
+  removeEvent,
+  parseDuration,
+  safeRequestAnimationFrame,
+  safeCancelAnimationFrame,
+  loadDecodedImage,
 } from "./utils.js";
-import { errorHandler } from "./error-handler.js";
+import { Animation } from "./animation.js";
+import { getAdapter } from "./adapters.js";
+import { errorHandler, logger } from "./error-handler.js";
+
+/**
+ * Computed styles copied onto the portal clone, which no longer matches the
+ * stylesheet selectors of the original element's ancestors
+ */
+const PORTAL_COPIED_STYLES = [
+  "objectFit",
+  "objectPosition",
+  "borderRadius",
+  "backgroundColor",
+  "backgroundImage",
+  "backgroundSize",
+  "backgroundPosition",
+  "backgroundRepeat",
+];
 
 export class ZoomController {
   constructor(element, options = {}) {
     this.element = element;
     this.options = {
       maxScale: options.maxScale || 5,
+      mode: options.mode || "inline",
+      contentMode: options.contentMode || "image",
+      hiresThreshold:
+        options.hiresThreshold !== undefined ? options.hiresThreshold : 1.5,
       minScale: options.minScale || 1,
       transitionDuration: options.transitionDuration || "0.3s",
+      momentumDecay: options.momentumDecay || 0.95,
+      momentumMinVelocity: options.momentumMinVelocity || 0.05,
+      overscaleResistance:
+        options.overscaleResistance !== undefined
+          ? options.overscaleResistance
+          : 0.7,
       ...options,
     };
 
@@ -25,6 +61,51 @@ export class ZoomController {
     this.currentTranslateY = 0;
     this.initialPosition = { x: 0, y: 0 };
 
+    // Focal point state of the gesture in progress
+    this.isGesturing = false;
+    this.gestureRect = null;
+    this.gestureFocalPoint = null;
+    this.gestureAnchor = null;
+    this.gestureLastFocalPoint = null;
+
+    // Transform kept after release in persistent zoom mode
+    this.restingTransform = null;
+    this.panStart = null;
+
+    // Momentum animation after a flick
+    this.momentumFrame = null;
+    this.momentumVelocity = null;
+
+    // Running transform animation and its target
+    this.animation = null;
+    this.animationTarget = null;
+    this.animationPromise = null;
+
+    // Listeners notified on every rendered frame
+    this.transformListeners = [];
+
+    // Describes where the content is drawn inside the element
+    this.adapter = getAdapter(element, this.options.contentMode);
+    this.fallbackSize = null;
+    if (this.adapter) {
+      this.adapter.prepare(element);
+    }
+
+    // Larger source swapped in while zoomed
+    this.hiresPending = null;
+    this.hiresFailed = new Set();
+    this.hiresRestore = null;
+
+    // Inline position and z-index of the element while it is raised above the overlay
+    this.raisedStyles = null;
+
+    // Element receiving the transform: the original, or its clone in portal mode
+    this.target = element;
+    this.portal = null;
+    this.originalOpacity = "";
+    this.cloneSyncFrame = null;
+    this.boundPositionPortal = this.positionPortal.bind(this);
+
     // Check CSS transform support
     this.transformSupport = getTransformSupport();
 
@@ -37,15 +118,11 @@ export class ZoomController {
   setupElement() {
     return errorHandler.safeExecute(
       () => {
-        // Set up cross-browser transition
-        const transitionValue = `transform ${this.options.transitionDuration} ease-out`;
-        applyTransition(this.element, transitionValue);
-
-        // Fallback transition for browsers that don't support transforms
-        if (!this.transformSupport.supported) {
-          const fallbackTransition = `width ${this.options.transitionDuration} ease-out, height ${this.options.transitionDuration} ease-out`;
-          applyTransition(this.element, fallbackTransition);
-        }
+        // Scale from the top-left corner so translation alone positions the focal point
+        applyTransformOrigin(this.element, "0 0");
+
+        // Every frame is rendered by the animation engine; a CSS transition would only lag behind
+        applyTransition(this.element, "none");
 
         return true;
       },
@@ -55,7 +132,7 @@ export class ZoomController {
   }
 
   /**
-   * Apply CSS transform
+   * Apply CSS transform immediately
    * @param {number} scale - Scale value
    * @param {number} translateX - X-axis translation
    * @param {number} translateY - Y-axis translation
@@ -70,31 +147,962 @@ export class ZoomController {
           this.options.maxScale
         );
 
-        this.currentScale = clampedScale;
-        this.currentTranslateX = translateX;
-        this.currentTranslateY = translateY;
+        return this.renderTransform(clampedScale, translateX, translateY);
+      },
+      "applying transform",
+      false
+    );
+  }
+
+  /**
+   * Write a transform to the element without clamping and notify listeners
+   * Used for every animation frame and for rubber-banded gesture frames.
+   * @param {number} scale - Scale value
+   * @param {number} translateX - X-axis translation
+   * @param {number} translateY - Y-axis translation
+   */
+  renderTransform(scale, translateX, translateY) {
+    this.currentScale = scale;
+    this.currentTranslateX = translateX;
+    this.currentTranslateY = translateY;
+
+    const isAtRest = scale === 1 && translateX === 0 && translateY === 0;
+
+    // Lift a clone out of the page before the first zoomed frame
+    if (this.options.mode === "portal" && !this.portal && !isAtRest) {
+      this.openPortal();
+    }
+
+    if (this.transformSupport.supported) {
+      const transform = `translate(${translateX}px, ${translateY}px) scale(${scale})`;
+      applyTransform(this.target, transform);
+    } else {
+      // Fallback for browsers that don't support transforms
+      this.applyFallbackTransform(scale, translateX, translateY);
+    }
+
+    this.updateHiresSource(scale);
+
+    // Back at 1x the original source and responsive size take over again
+    if (isAtRest && !this.isGesturing) {
+      this.restoreHiresSource();
+    }
+
+    // Swap back to the original once the clone has returned to its place
+    if (this.portal && isAtRest && !this.isGesturing) {
+      this.closePortal();
+    }
+
+    // Stay one layer above the overlay while zoomed; a portal clone is
+    // already above it and the hidden original is left alone
+    if (scale > 1 && !this.portal) {
+      this.raiseElement();
+    } else {
+      this.lowerElement();
+    }
+
+    const state = this.getTransformState();
+    this.transformListeners.forEach((listener) => {
+      errorHandler.safeExecute(
+        () => listener(state),
+        "notifying transform listener"
+      );
+    });
+
+    return true;
+  }
+
+  /**
+   * Lift the element one layer above the overlay
+   * Only a static element is made relative, so absolute, fixed and sticky
+   * layouts (e.g. in container mode) keep their position.
+   */
+  raiseElement() {
+    const { style } = this.element;
+
+    if (!this.raisedStyles) {
+      this.raisedStyles = { position: style.position, zIndex: style.zIndex };
+
+      if (window.getComputedStyle(this.element).position === "static") {
+        style.position = "relative";
+      }
+    }
+
+    style.zIndex = String((this.options.zIndex || 1000) + 1);
+  }
+
+  /**
+   * Put back the inline position and z-index the element had before it was raised
+   */
+  lowerElement() {
+    if (!this.raisedStyles) {
+      return;
+    }
+
+    this.element.style.position = this.raisedStyles.position;
+    this.element.style.zIndex = this.raisedStyles.zIndex;
+    this.raisedStyles = null;
+  }
+
+  /**
+   * Register a listener called with the transform state on every rendered frame
+   * @param {Function} callback - Listener receiving the transform state
+   * @returns {Function} Function that removes the listener
+   */
+  onTransformChange(callback) {
+    this.transformListeners.push(callback);
+
+    return () => {
+      this.transformListeners = this.transformListeners.filter(
+        (listener) => listener !== callback
+      );
+    };
+  }
+
+  /**
+   * Animate to a transform on the animation engine
+   * Any running animation is interrupted and the new one starts from the
+   * current frame.
+   * @param {number} scale - Target scale
+   * @param {number} translateX - Target X-axis translation
+   * @param {number} translateY - Target Y-axis translation
+   * @param {Object} options - {duration, easing, spring}
+   * @returns {Promise<boolean>} Resolves true when finished, false when interrupted
+   */
+  animateTransform(scale, translateX, translateY, options = {}) {
+    this.stopAnimation();
+
+    const target = { scale, translateX, translateY };
+    if (
+      target.scale === this.currentScale &&
+      target.translateX === this.currentTranslateX &&
+      target.translateY === this.currentTranslateY
+    ) {
+      this.renderTransform(scale, translateX, translateY);
+      return Promise.resolve(true);
+    }
+
+    const animation = new Animation({
+      from: {
+        scale: this.currentScale,
+        translateX: this.currentTranslateX,
+        translateY: this.currentTranslateY,
+      },
+      to: target,
+      duration:
+        options.duration !== undefined
+          ? options.duration
+          : parseDuration(this.options.transitionDuration),
+      easing: options.easing || "easeOut",
+      spring: options.spring || null,
+      onUpdate: (values) =>
+        this.renderTransform(
+          values.scale,
+          values.translateX,
+          values.translateY
+        ),
+    });
+
+    this.animation = animation;
+    this.animationTarget = target;
+    this.animationPromise = animation.finished.then((completed) => {
+      if (this.animation === animation) {
+        this.animation = null;
+        this.animationTarget = null;
+        this.animationPromise = null;
+      }
+      return completed;
+    });
+
+    animation.start();
+    return this.animationPromise;
+  }
 
-        if (this.transformSupport.supported) {
-          const transform = `scale(${clampedScale}) translate(${translateX}px, ${translateY}px)`;
-          applyTransform(this.element, transform);
-        } else {
-          // Fallback for browsers that don't support transforms
-          this.applyFallbackTransform(clampedScale, translateX, translateY);
+  /**
+   * Interrupt the running animation at its current frame
+   * @returns {boolean} Whether an animation was running
+   */
+  stopAnimation() {
+    if (!this.animation) {
+      return false;
+    }
+
+    const animation = this.animation;
+    this.animation = null;
+    this.animationTarget = null;
+    this.animationPromise = null;
+    animation.cancel();
+
+    return true;
+  }
+
+  /**
+   * Check whether a transform animation is running
+   * @returns {boolean} Whether animating
+   */
+  isAnimating() {
+    return !!this.animation;
+  }
+
+  /**
+   * Return where the element is heading: the animation target, or the current transform
+   * @returns {Object} Transform {scale, translateX, translateY}
+   */
+  getTargetTransform() {
+    if (this.animationTarget) {
+      return { ...this.animationTarget };
+    }
+
+    return {
+      scale: this.currentScale,
+      translateX: this.currentTranslateX,
+      translateY: this.currentTranslateY,
+    };
+  }
+
+  /**
+   * Start a gesture anchored at the given focal point
+   * @param {Object} focalPoint - Focal point in client coordinates {x, y}
+   */
+  beginGesture(focalPoint) {
+    return errorHandler.safeExecute(
+      () => {
+        // Catch a coasting or animating image where it is
+        this.stopMomentum();
+        this.stopAnimation();
+
+        this.isGesturing = true;
+        this.gestureRect = this.getLayoutRect();
+        this.gestureFocalPoint = { x: focalPoint.x, y: focalPoint.y };
+        this.gestureAnchor = this.clientToElementPoint(focalPoint);
+
+        return true;
+      },
+      "beginning zoom gesture",
+      false
+    );
+  }
+
+  /**
+   * Zoom relative to the gesture start while keeping the focal point under the fingers
+   * @param {number} scaleFactor - Scale factor relative to the gesture start
+   * @param {number} panX - Horizontal drift of the focal point since gesture start
+   * @param {number} panY - Vertical drift of the focal point since gesture start
+   */
+  updateGesture(scaleFactor, panX = 0, panY = 0) {
+    if (!this.isGesturing) {
+      return false;
+    }
+
+    // Stretch past the limits with increasing resistance
+    const scale = rubberBand(
+      this.gestureStartScale() * scaleFactor,
+      this.options.minScale,
+      this.options.maxScale,
+      this.options.overscaleResistance
+    );
+    const focalPoint = {
+      x: this.gestureFocalPoint.x + panX,
+      y: this.gestureFocalPoint.y + panY,
+    };
+    const { x, y } = this.getAnchoredTranslation(
+      scale,
+      this.gestureAnchor,
+      focalPoint
+    );
+
+    this.gestureLastFocalPoint = focalPoint;
+    return this.renderTransform(scale, x, y);
+  }
+
+  /**
+   * Finish the gesture in progress
+   * An overscaled image springs back to the nearest legal scale around the
+   * last focal point.
+   */
+  endGesture() {
+    if (!this.isGesturing) {
+      return false;
+    }
+
+    const lastFocalPoint = this.gestureLastFocalPoint;
+    const legalScale = clamp(
+      this.currentScale,
+      this.options.minScale,
+      this.options.maxScale
+    );
+
+    this.isGesturing = false;
+    this.gestureRect = null;
+    this.gestureFocalPoint = null;
+    this.gestureAnchor = null;
+    this.gestureLastFocalPoint = null;
+
+    if (legalScale !== this.currentScale && lastFocalPoint) {
+      this.zoomAt(legalScale, lastFocalPoint, { spring: true });
+    }
+
+    return true;
+  }
+
+  /**
+   * Zoom to a scale while keeping the element point under a client point in place
+   * @param {number} scale - Target scale
+   * @param {Object} focalPoint - Focal point in client coordinates {x, y}
+   * @param {Object} options - Animation options {duration, easing, spring}
+   * @returns {Promise<boolean>} Resolves when the animation finishes or is interrupted
+   */
+  zoomAt(scale, focalPoint, options = {}) {
+    return errorHandler.safeExecute(
+      () => {
+        const clampedScale = clamp(
+          scale,
+          this.options.minScale,
+          this.options.maxScale
+        );
+        const anchor = this.clientToElementPoint(focalPoint);
+        const { x, y } = this.getAnchoredTranslation(
+          clampedScale,
+          anchor,
+          focalPoint
+        );
+
+        return this.animateTransform(clampedScale, x, y, options);
+      },
+      "zooming at point",
+      Promise.resolve(false)
+    );
+  }
+
+  /**
+   * Zoom so that an element point ends up in the center of the element box
+   * @param {number} scale - Target scale
+   * @param {Object} options - {x, y: element point in untransformed CSS px
+   *   (defaults to the point currently in the center), animate (default true)}
+   * @returns {Promise<boolean>} Resolves when the animation finishes or is interrupted
+   */
+  zoomTo(scale, options = {}) {
+    return errorHandler.safeExecute(
+      () => {
+        const clampedScale = clamp(
+          scale,
+          this.options.minScale,
+          this.options.maxScale
+        );
+        const rect = this.getLayoutRect();
+        const target = this.getTargetTransform();
+
+        // Default to the point currently shown in the center
+        const x =
+          options.x !== undefined
+            ? Number(options.x)
+            : (rect.width / 2 - target.translateX) / target.scale;
+        const y =
+          options.y !== undefined
+            ? Number(options.y)
+            : (rect.height / 2 - target.translateY) / target.scale;
+
+        const translation = this.clampTranslation(
+          rect.width / 2 - x * clampedScale,
+          rect.height / 2 - y * clampedScale,
+          clampedScale
+        );
+
+        if (options.animate === false) {
+          this.stopAnimation();
+          this.renderTransform(clampedScale, translation.x, translation.y);
+          return Promise.resolve(true);
         }
 
-        // Set z-index and position (when zoomed)
-        if (clampedScale > 1) {
-          this.element.style.zIndex = this.options.zIndex || "1000";
-          this.element.style.position = "relative";
+        return this.animateTransform(
+          clampedScale,
+          translation.x,
+          translation.y
+        );
+      },
+      "zooming to scale",
+      Promise.resolve(false)
+    );
+  }
+
+  /**
+   * Pan so that an element point ends up in the center of the element box
+   * @param {number} x - Element point in untransformed CSS px
+   * @param {number} y - Element point in untransformed CSS px
+   * @param {Object} options - {animate: whether to animate (default true)}
+   * @returns {Promise<boolean>} Resolves when the animation finishes or is interrupted
+   */
+  panTo(x, y, options = {}) {
+    return this.zoomTo(this.getTargetTransform().scale, { ...options, x, y });
+  }
+
+  /**
+   * Keep the transform after release, pulled back within pan bounds
+   * Works on the animation target, so an in-flight spring-back settles at the
+   * legal scale.
+   * @returns {Promise<boolean>} Resolves when the element has settled
+   */
+  settle() {
+    return errorHandler.safeExecute(
+      () => {
+        const target = this.getTargetTransform();
+        const { x, y } = this.clampTranslation(
+          target.translateX,
+          target.translateY,
+          target.scale
+        );
+
+        this.restingTransform = {
+          scale: target.scale,
+          translateX: x,
+          translateY: y,
+        };
+
+        // Already heading to the resting transform
+        if (
+          this.animationPromise &&
+          x === target.translateX &&
+          y === target.translateY
+        ) {
+          return this.animationPromise;
         }
 
+        return this.animateTransform(target.scale, x, y, { spring: true });
+      },
+      "settling transform",
+      Promise.resolve(false)
+    );
+  }
+
+  /**
+   * Start a single-finger pan of the resting transform
+   */
+  beginPan() {
+    return errorHandler.safeExecute(
+      () => {
+        this.stopMomentum();
+        this.stopAnimation();
+
+        this.gestureRect = this.getLayoutRect();
+        this.panStart = {
+          x: this.currentTranslateX,
+          y: this.currentTranslateY,
+        };
+
         return true;
       },
-      "applying transform",
+      "beginning pan",
       false
     );
   }
 
+  /**
+   * Move the image by the finger offset since the pan started
+   * @param {number} deltaX - Horizontal offset since pan start
+   * @param {number} deltaY - Vertical offset since pan start
+   */
+  updatePan(deltaX, deltaY) {
+    if (!this.panStart) {
+      return false;
+    }
+
+    const { x, y } = this.clampTranslation(
+      this.panStart.x + deltaX,
+      this.panStart.y + deltaY
+    );
+
+    return this.renderTransform(this.currentScale, x, y);
+  }
+
+  /**
+   * Finish the pan and keep the new position
+   */
+  endPan() {
+    if (!this.panStart) {
+      return false;
+    }
+
+    this.panStart = null;
+    this.gestureRect = null;
+
+    return this.settle();
+  }
+
+  /**
+   * Let the image coast after a flick, slowing down by friction
+   * @param {Object} velocity - Release velocity in px/ms {x, y}
+   * @returns {boolean} Whether momentum started
+   */
+  startMomentum(velocity) {
+    this.stopMomentum();
+
+    const { momentumDecay, momentumMinVelocity } = this.options;
+    if (Math.hypot(velocity.x, velocity.y) < momentumMinVelocity) {
+      return false;
+    }
+
+    this.stopAnimation();
+    this.gestureRect = this.getLayoutRect();
+    this.momentumVelocity = { x: velocity.x, y: velocity.y };
+
+    let lastTime = Date.now();
+
+    const step = () => {
+      errorHandler.safeExecute(() => {
+        const now = Date.now();
+        const elapsed = Math.max(now - lastTime, 1);
+        lastTime = now;
+
+        // Decay is defined per 60fps frame; scale it to the real frame time
+        const friction = Math.pow(momentumDecay, elapsed / 16);
+        const velocityState = this.momentumVelocity;
+        velocityState.x *= friction;
+        velocityState.y *= friction;
+
+        const targetX = this.currentTranslateX + velocityState.x * elapsed;
+        const targetY = this.currentTranslateY + velocityState.y * elapsed;
+        const { x, y } = this.clampTranslation(targetX, targetY);
+
+        // Stop dead on an axis that hits its bound
+        if (x !== targetX) velocityState.x = 0;
+        if (y !== targetY) velocityState.y = 0;
+
+        this.renderTransform(this.currentScale, x, y);
+
+        if (
+          Math.hypot(velocityState.x, velocityState.y) < momentumMinVelocity
+        ) {
+          this.stopMomentum();
+          return;
+        }
+
+        this.momentumFrame = safeRequestAnimationFrame(step);
+      }, "running momentum");
+    };
+
+    this.momentumFrame = safeRequestAnimationFrame(step);
+    return true;
+  }
+
+  /**
+   * Stop the momentum animation and keep the position it reached
+   * @returns {boolean} Whether momentum was running
+   */
+  stopMomentum() {
+    if (!this.cancelMomentum()) {
+      return false;
+    }
+
+    this.settle();
+    return true;
+  }
+
+  /**
+   * Cancel the momentum animation without settling
+   * @returns {boolean} Whether momentum was running
+   */
+  cancelMomentum() {
+    if (this.momentumFrame === null) {
+      return false;
+    }
+
+    safeCancelAnimationFrame(this.momentumFrame);
+    this.momentumFrame = null;
+    this.momentumVelocity = null;
+    this.gestureRect = null;
+    return true;
+  }
+
+  /**
+   * Return translation limits that keep the zoomed image covering its box
+   * @param {number} scale - Scale to calculate bounds for
+   * @returns {Object} Bounds {minX, maxX, minY, maxY}
+   */
+  getPanBounds(scale = this.currentScale) {
+    const rect = this.gestureRect || this.getLayoutRect();
+    const { content } = rect;
+
+    // Translations that align the scaled content's near and far edges with the box
+    const alignLeft = -content.left * rect.width * scale;
+    const alignRight =
+      rect.width - (content.left + content.width) * rect.width * scale;
+    const alignTop = -content.top * rect.height * scale;
+    const alignBottom =
+      rect.height - (content.top + content.height) * rect.height * scale;
+
+    return {
+      minX: Math.min(alignLeft, alignRight),
+      maxX: Math.max(alignLeft, alignRight),
+      minY: Math.min(alignTop, alignBottom),
+      maxY: Math.max(alignTop, alignBottom),
+    };
+  }
+
+  /**
+   * Clamp a translation to the pan bounds
+   * @param {number} translateX - X-axis translation
+   * @param {number} translateY - Y-axis translation
+   * @param {number} scale - Scale the translation applies to
+   * @returns {Object} Clamped translation {x, y}
+   */
+  clampTranslation(translateX, translateY, scale = this.currentScale) {
+    const bounds = this.getPanBounds(scale);
+
+    return {
+      x: clamp(translateX, bounds.minX, bounds.maxX),
+      y: clamp(translateY, bounds.minY, bounds.maxY),
+    };
+  }
+
+  /**
+   * Return the scale the current gesture started from
+   * @returns {number} Scale at gesture start
+   */
+  gestureStartScale() {
+    return this.gestureRect ? this.gestureRect.scale : this.currentScale;
+  }
+
+  /**
+   * Swap to a larger source once the scale passes hiresThreshold
+   * The image is loaded and decoded off-screen first, so the swap doesn't flash;
+   * sources that fail to load are skipped quietly.
+   * @param {number} scale - Current scale
+   */
+  updateHiresSource(scale) {
+    const threshold = this.options.hiresThreshold;
+    if (
+      !threshold ||
+      scale < threshold ||
+      !this.adapter ||
+      !this.adapter.getHiresSource
+    ) {
+      return;
+    }
+
+    const target = this.target;
+    const parent = this.element.parentNode;
+
+    // Inside <picture> the <source> elements win over src; only a portal clone can be upgraded
+    if (
+      target === this.element &&
+      parent &&
+      parent.tagName &&
+      parent.tagName.toLowerCase() === "picture"
+    ) {
+      return;
+    }
+
+    const renderedWidth =
+      this.element.offsetWidth * scale * (window.devicePixelRatio || 1);
+    const url = this.adapter.getHiresSource(
+      this.element,
+      renderedWidth,
+      target.naturalWidth || 0
+    );
+
+    if (
+      !url ||
+      url === this.hiresPending ||
+      url === target.currentSrc ||
+      this.hiresFailed.has(url)
+    ) {
+      return;
+    }
+
+    this.hiresPending = url;
+    loadDecodedImage(url).then(
+      () => {
+        // Dropped by destroy() while loading
+        if (this.hiresPending !== url) {
+          return;
+        }
+        this.hiresPending = null;
+
+        // The portal clone may have been closed, or the zoom ended, while loading
+        if (target === this.target && this.currentScale > 1) {
+          this.applyHiresSource(target, url);
+        }
+      },
+      () => {
+        this.hiresPending = null;
+        this.hiresFailed.add(url);
+        logger.debug(`High-resolution source failed to load: ${url}`);
+      }
+    );
+  }
+
+  /**
+   * Show a decoded high-resolution source in the transformed element
+   * @param {HTMLImageElement} target - Element to update
+   * @param {string} url - Decoded source URL
+   */
+  applyHiresSource(target, url) {
+    errorHandler.safeExecute(() => {
+      if (target === this.element && !this.hiresRestore) {
+        this.hiresRestore = {
+          src: target.getAttribute("src"),
+          srcset: target.getAttribute("srcset"),
+          sizes: target.getAttribute("sizes"),
+          width: target.style.width,
+          height: target.style.height,
+        };
+
+        // Pin the layout size so the larger intrinsic size can't reflow the page
+        target.style.width = `${target.offsetWidth}px`;
+        target.style.height = `${target.offsetHeight}px`;
+      }
+
+      target.removeAttribute("srcset");
+      target.removeAttribute("sizes");
+      target.src = url;
+    }, "applying high-resolution source");
+  }
+
+  /**
+   * Put back the original source and size of an upgraded element
+   */
+  restoreHiresSource() {
+    const restore = this.hiresRestore;
+    if (!restore) {
+      return;
+    }
+
+    ["src", "srcset", "sizes"].forEach((attribute) => {
+      if (restore[attribute] === null) {
+        this.element.removeAttribute(attribute);
+      } else {
+        this.element.setAttribute(attribute, restore[attribute]);
+      }
+    });
+
+    this.element.style.width = restore.width;
+    this.element.style.height = restore.height;
+    this.hiresRestore = null;
+  }
+
+  /**
+   * Replace the element with a fixed-position clone above the overlay
+   * The clone escapes overflow clipping and stacking contexts of the element's
+   * ancestors; the original keeps its layout box, and input on the clone is
+   * handled by the original's touch handler (see TouchHandler.setProxy).
+   */
+  openPortal() {
+    return errorHandler.safeExecute(
+      () => {
+        const clone =
+          this.adapter && this.adapter.createClone
+            ? this.adapter.createClone(this.element)
+            : this.element.cloneNode(true);
+        const computed = window.getComputedStyle(this.element);
+
+        clone.removeAttribute("id");
+        clone.setAttribute("aria-hidden", "true");
+        clone.classList.add("pinch-zoom-portal");
+
+        PORTAL_COPIED_STYLES.forEach((property) => {
+          clone.style[property] = computed[property];
+        });
+
+        Object.assign(clone.style, {
+          position: "fixed",
+          margin: "0",
+          maxWidth: "none",
+          maxHeight: "none",
+          boxSizing: "border-box",
+          pointerEvents: "auto",
+          zIndex: String((this.options.zIndex || 1000) + 1),
+        });
+        applyTransition(clone, "none");
+        applyTransformOrigin(clone, "0 0");
+
+        this.portal = clone;
+        this.target = clone;
+        this.positionPortal();
+        document.body.appendChild(clone);
+
+        this.originalOpacity = this.element.style.opacity;
+        this.element.style.opacity = "0";
+
+        // Keep the clone over the original if the page scrolls or resizes
+        addEvent(window, "scroll", this.boundPositionPortal, { passive: true });
+        addEvent(window, "resize", this.boundPositionPortal);
+
+        this.startCloneSync();
+        return true;
+      },
+      "opening zoom portal",
+      false
+    );
+  }
+
+  /**
+   * Place the portal clone over the original element's current box
+   */
+  positionPortal() {
+    if (!this.portal) {
+      return;
+    }
+
+    const rect = this.element.getBoundingClientRect();
+    Object.assign(this.portal.style, {
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+    });
+  }
+
+  /**
+   * Keep live content (video, canvas) updating in the clone on every frame
+   * while the portal is open, including while a persistent zoom rests.
+   */
+  startCloneSync() {
+    if (!this.adapter || !this.adapter.syncClone) {
+      return;
+    }
+
+    const step = () => {
+      if (!this.portal) {
+        this.cloneSyncFrame = null;
+        return;
+      }
+
+      errorHandler.safeExecute(
+        () => this.adapter.syncClone(this.element, this.portal),
+        "syncing portal clone"
+      );
+      this.cloneSyncFrame = safeRequestAnimationFrame(step);
+    };
+
+    this.cloneSyncFrame = safeRequestAnimationFrame(step);
+  }
+
+  /**
+   * Stop updating the portal clone
+   */
+  stopCloneSync() {
+    if (this.cloneSyncFrame === null) {
+      return;
+    }
+
+    safeCancelAnimationFrame(this.cloneSyncFrame);
+    this.cloneSyncFrame = null;
+  }
+
+  /**
+   * Remove the portal clone and show the original element again
+   */
+  closePortal() {
+    return errorHandler.safeExecute(
+      () => {
+        if (!this.portal) {
+          return false;
+        }
+
+        removeEvent(window, "scroll", this.boundPositionPortal, {
+          passive: true,
+        });
+        removeEvent(window, "resize", this.boundPositionPortal);
+        this.stopCloneSync();
+
+        if (this.portal.parentNode) {
+          this.portal.parentNode.removeChild(this.portal);
+        }
+
+        this.element.style.opacity = this.originalOpacity;
+        this.portal = null;
+        this.target = this.element;
+        return true;
+      },
+      "closing zoom portal",
+      false
+    );
+  }
+
+  /**
+   * Measure the untransformed element box in document coordinates
+   * Document coordinates keep the math valid when the page scrolls mid-gesture
+   * or the element is partly scrolled off screen.
+   * @returns {Object} Layout rect {left, top, width, height, scale, content}
+   */
+  getLayoutRect() {
+    const rect = this.element.getBoundingClientRect();
+    const scroll = getScrollPosition();
+    const scale = this.currentScale || 1;
+    const content = this.getContentRect();
+
+    if (this.portal) {
+      // The original is never transformed while a clone stands in for it
+      return {
+        left: rect.left + scroll.x,
+        top: rect.top + scroll.y,
+        width: rect.width,
+        height: rect.height,
+        scale,
+        content,
+      };
+    }
+
+    return {
+      left: rect.left + scroll.x - this.currentTranslateX,
+      top: rect.top + scroll.y - this.currentTranslateY,
+      width: rect.width / scale,
+      height: rect.height / scale,
+      scale,
+      content,
+    };
+  }
+
+  /**
+   * Return the rect the content is drawn into as fractions of the element box
+   * e.g. the letterboxed area of object-fit: contain or a positioned background.
+   * @returns {Object} Content rect {left, top, width, height} (0-1)
+   */
+  getContentRect() {
+    const content = this.adapter
+      ? errorHandler.safeExecute(
+          () => this.adapter.getContentRect(this.element),
+          "measuring content rect",
+          null
+        )
+      : null;
+
+    return content || { left: 0, top: 0, width: 1, height: 1 };
+  }
+
+  /**
+   * Convert a client point to untransformed element coordinates
+   * @param {Object} point - Point in client coordinates {x, y}
+   * @returns {Object} Point in element coordinates {x, y}
+   */
+  clientToElementPoint(point) {
+    const rect = this.gestureRect || this.getLayoutRect();
+    const scroll = getScrollPosition();
+    const scale = this.currentScale || 1;
+
+    return {
+      x: (point.x + scroll.x - rect.left - this.currentTranslateX) / scale,
+      y: (point.y + scroll.y - rect.top - this.currentTranslateY) / scale,
+    };
+  }
+
+  /**
+   * Calculate the translation that puts an element point under a client point
+   * @param {number} scale - Target scale
+   * @param {Object} anchor - Point in element coordinates {x, y}
+   * @param {Object} focalPoint - Point in client coordinates {x, y}
+   * @returns {Object} Translation {x, y}
+   */
+  getAnchoredTranslation(scale, anchor, focalPoint) {
+    const rect = this.gestureRect || this.getLayoutRect();
+    const scroll = getScrollPosition();
+
+    return {
+      x: focalPoint.x + scroll.x - rect.left - anchor.x * scale,
+      y: focalPoint.y + scroll.y - rect.top - anchor.y * scale,
+    };
+  }
+
   /**
    * Fallback for browsers that don't support transforms
    * @param {number} scale - Scale value
@@ -103,38 +1111,68 @@ export class ZoomController {
    */
   applyFallbackTransform(scale, translateX, translateY) {
     // Only basic size adjustment is supported
-    const originalWidth = this.element.naturalWidth || this.element.offsetWidth;
-    const originalHeight =
-      this.element.naturalHeight || this.element.offsetHeight;
+    if (scale === 1) {
+      // Restore to original size
+      this.target.style.width = "";
+      this.target.style.height = "";
+      if (this.adapter && this.adapter.type === "background") {
+        this.target.style.backgroundSize = "";
+      }
+      this.fallbackSize = null;
+      return;
+    }
+
+    // Measure once before the first resize so later frames don't compound
+    if (!this.fallbackSize) {
+      this.fallbackSize = {
+        size: this.adapter
+          ? this.adapter.getFallbackSize(this.element)
+          : {
+              width: this.element.offsetWidth,
+              height: this.element.offsetHeight,
+            },
+        content: this.getContentRect(),
+      };
+    }
+
+    const { size, content } = this.fallbackSize;
+    if (!size.width || !size.height) {
+      return;
+    }
+
+    this.target.style.width = `${size.width * scale}px`;
+    this.target.style.height = `${size.height * scale}px`;
 
-    if (originalWidth && originalHeight) {
-      this.element.style.width = `${originalWidth * scale}px`;
-      this.element.style.height = `${originalHeight * scale}px`;
+    // Background images don't follow the box unless their size is scaled too
+    if (this.adapter && this.adapter.type === "background") {
+      this.target.style.backgroundSize = `${
+        content.width * size.width * scale
+      }px ${content.height * size.height * scale}px`;
     }
   }
 
   /**
    * Reset transform to initial state
+   * @param {Object} options - {animate: whether to animate back (default true)}
+   * @returns {Promise<boolean>} Resolves when the element is back at 1x
    */
-  resetTransform() {
+  resetTransform(options = {}) {
     return errorHandler.safeExecute(
       () => {
-        this.currentScale = 1;
-        this.currentTranslateX = 0;
-        this.currentTranslateY = 0;
-
-        if (this.transformSupport.supported) {
-          applyTransform(this.element, "scale(1) translate(0px, 0px)");
-        } else {
-          // Fallback: restore to original size
-          this.element.style.width = "";
-          this.element.style.height = "";
+        this.cancelMomentum();
+        this.restingTransform = null;
+        this.panStart = null;
+
+        if (options.animate === false) {
+          this.stopAnimation();
+          this.renderTransform(1, 0, 0);
+          return Promise.resolve(true);
         }
 
-        return true;
+        return this.animateTransform(1, 0, 0);
       },
       "resetting transform",
-      false
+      Promise.resolve(false)
     );
   }
 
@@ -164,39 +1202,6 @@ export class ZoomController {
     };
   }
 
-  /**
-   * Add transition end event listener (cross-browser support)
-   * @param {Function} callback - Callback to execute on transition end
-   */
-  onTransitionEnd(callback) {
-    const handleTransitionEnd = () => {
-      if (this.currentScale === 1) {
-        // Reset z-index and position when returned to original state
-        this.element.style.zIndex = "";
-        this.element.style.position = "";
-      }
-
-      if (callback) {
-        callback();
-      }
-    };
-
-    // Cross-browser transition end event support
-    const transitionEndEvents = [
-      "transitionend",
-      "webkitTransitionEnd",
-      "mozTransitionEnd",
-      "msTransitionEnd",
-      "oTransitionEnd",
-    ];
-
-    transitionEndEvents.forEach((eventName) => {
-      this.element.addEventListener(eventName, handleTransitionEnd);
-    });
-
-    return handleTransitionEnd;
-  }
-
   /**
    * Return current transform state
    * @returns {Object} Current transform state
@@ -207,6 +1212,10 @@ export class ZoomController {
       translateX: this.currentTranslateX,
       translateY: this.currentTranslateY,
       isZoomed: this.currentScale > 1,
+      isResting: !!this.restingTransform,
+      isGesturing: this.isGesturing,
+      hasMomentum: this.momentumFrame !== null,
+      isAnimating: !!this.animation,
     };
   }
 
@@ -216,18 +1225,6 @@ export class ZoomController {
    */
   updateOptions(newOptions) {
     this.options = { ...this.options, ...newOptions };
-
-    // Update transition
-    if (newOptions.transitionDuration) {
-      const transitionValue = `transform ${this.options.transitionDuration} ease-out`;
-      applyTransition(this.element, transitionValue);
-
-      // Fallback transition for browsers that don't support transforms
-      if (!this.transformSupport.supported) {
-        const fallbackTransition = `width ${this.options.transitionDuration} ease-out, height ${this.options.transitionDuration} ease-out`;
-        applyTransition(this.element, fallbackTransition);
-      }
-    }
   }
 
   /**
@@ -236,13 +1233,18 @@ export class ZoomController {
   destroy() {
     return errorHandler.safeExecute(
       () => {
-        this.resetTransform();
+        this.isGesturing = false;
+        this.resetTransform({ animate: false });
+        this.closePortal();
+        this.hiresPending = null;
+        this.restoreHiresSource();
+        this.transformListeners = [];
 
-        // Reset cross-browser transition
+        // Reset cross-browser transition and transform origin
         applyTransition(this.element, "");
+        applyTransformOrigin(this.element, "");
 
-        this.element.style.zIndex = "";
-        this.element.style.position = "";
+        this.lowerElement();
         return true;
       },
       "destroying zoom controller",